@@ -1,150 +1,273 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { createRoot } from "react-dom/client";
 import { motion } from "framer-motion";
-import { ChevronRight, ChevronLeft, LogIn, Loader2, ShieldCheck, X } from "lucide-react";
+import { AlertTriangle, CalendarClock, CheckCircle2, ChevronRight, ChevronLeft, Clock, Copy, Download, FolderOpen, History, LogIn, LogOut, Loader2, Pause, Play, RefreshCw, RotateCcw, Save, ShieldCheck, Square, Trash2, Upload, X } from "lucide-react";
+import {
+  GC_TOKEN, GC_REGION, GC_TOKEN_EXPIRES, setToken, setTokenExpiry, tokenExpired, setRegion, setTransport,
+  apiFetch, searchUsers, searchQueues, LOOKUP_SOURCES, emptyLookups, mergeOptions, defaultCriteria,
+  defaultRules, RELATIVE_WINDOWS, CADENCES, timeZoneOptions, resolveInterval, dueSlices, nextSlice,
+  completeSlice, GROUP_DIMENSIONS, newGroup, newCondition, pruneGroup, describeGroup, AGENT_ATTRIBUTION, hitKey,
+  analyticsSearch, prepareSample, dropEvaluatedItems, STRATA_KEYS, WEIGHT_BY, SAMPLING_MODES, rulesAreValid, samplePool, labelOf,
+  buildPlan, planToCsv, planFromFile, loadJournal, saveJournal, newJournal, journalCounts,
+  isResumable, runJournal, loadRuns, saveRuns, auditSnapshot, recordRun, refreshRunStatuses,
+  runsToCsv, runsToJson, loadPolicies, savePolicies, newPolicyId, makePolicy, checkPolicyRefs,
+  exportPolicies, parsePolicyFile, hydratePolicy
+} from "./core.mjs";
 
 /*********************
- * Minimal 2-step app (no SDK)
- * Step 1: Login (Client ID + Region) via OAuth Implicit Grant redirect
+ * Minimal step-by-step app (no SDK)
+ * Step 1: Login (Client ID + Region) via OAuth Authorization Code + PKCE
+ *         (or the legacy Implicit Grant) redirect
  * Step 2: Criteria builder (with live lookups via fetch + Bearer token)
+ * Step 3: Search (analytics details job + optional STA transcript search)
+ * Step 4: Evaluation rules (sampling mode, published form, evaluator pool)
+ * Step 5: Review the sample
+ * Step 6: Execute (create the evaluations)
+ * Run history: audit records of executed runs, with evaluation status
  *
  * This uses the pattern we used on previous client apps: build the
- * authorize URL, redirect, parse the access_token from the URL hash,
- * store it in sessionStorage, and call the APIs with fetch.
+ * authorize URL, redirect, read the code (or access_token) on return,
+ * store the token in sessionStorage, and call the APIs with fetch.
  *********************/
 
-// -------------------- Auth + API helpers (no SDK) --------------------
-let GC_TOKEN = sessionStorage.getItem("gc_token") || "";
-let GC_REGION = sessionStorage.getItem("gc_region") || ""; // e.g. mypurecloud.ie
+// -------------------- Login (PKCE / implicit) --------------------
+/*
+ * Authorization Code + PKCE is the default; implicit grant is kept as an
+ * option for clients not yet configured for it. Either way a random state
+ * is stored before redirecting and must match on return. Renewal runs the
+ * same flow in a popup that hands the response back to this window.
+ */
+const PENDING_AUTH_KEY = "gc_pending_auth";
+const CLIENT_KEY = "gc_client";
+const AUTH_MESSAGE = "qpw-auth";
 
-function setToken(token){
-  GC_TOKEN = token || "";
-  if (token) sessionStorage.setItem("gc_token", token);
-  else sessionStorage.removeItem("gc_token");
-}
-function setRegion(region){
-  GC_REGION = region || "";
-  if (region) sessionStorage.setItem("gc_region", region);
-  else sessionStorage.removeItem("gc_region");
+function randomString(bytes = 32){
+  const buf = crypto.getRandomValues(new Uint8Array(bytes));
+  return base64Url(buf);
 }
 
-function apiBase(){
-  if (!GC_REGION) throw new Error("Region not set");
-  return `https://api.${GC_REGION}`;
+function base64Url(bytes){
+  return btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
 }
 
-function buildUrl(path, query){
-  const q = new URLSearchParams();
-  if (query) Object.entries(query).forEach(([k,v]) => {
-    if (v === undefined || v === null) return;
-    if (Array.isArray(v)) v.forEach(val => q.append(k, String(val)));
-    else q.append(k, String(v));
-  });
-  const qs = q.toString();
-  return `${apiBase()}${path}${qs ? `?${qs}` : ""}`;
-}
-
-async function apiFetch(path, init){
-  if (!GC_TOKEN) throw new Error("Not authenticated");
-  const res = await fetch(buildUrl(path), {
-    ...init,
-    headers: {
-      Authorization: `Bearer ${GC_TOKEN}`,
-      "Content-Type": "application/json",
-      ...(init && init.headers ? init.headers : {})
-    }
-  });
-  if (!res.ok) {
-    const text = await res.text().catch(()=>"");
-    throw new Error(`API ${path} failed: ${res.status} ${res.statusText} ${text}`);
-  }
-  if (res.status === 204) return null;
-  return res.json();
-}
-
-async function getAllPages(path, params = {}, maxPages = 50){
-  let pageNumber = params.pageNumber || 1;
-  const pageSize = params.pageSize || 100;
-  const out = [];
-  for (let i=0; i<maxPages; i++){
-    const qs = new URLSearchParams({ ...params, pageNumber: String(pageNumber), pageSize: String(pageSize) });
-    const data = await apiFetch(`${path}?${qs}`);
-    const entities = (data && (data.entities || data.items)) || [];
-    out.push(...entities);
-    if (!data || !data.nextUri) break;
-    pageNumber++;
-  }
-  return out;
-}
-
-function parseAuthHash(hash){
-  if (!hash || hash.length < 2) return null;
-  if (hash[0] === '#') hash = hash.slice(1);
-  const p = new URLSearchParams(hash);
-  const accessToken = p.get('access_token');
-  if (!accessToken) return null;
-  return {
-    accessToken,
-    tokenType: p.get('token_type'),
-    expiresIn: Number(p.get('expires_in') || 0),
-    state: p.get('state') || ''
-  };
+async function pkceChallenge(verifier){
+  return base64Url(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier)));
 }
 
-function stripHash(){
-  if (location.hash) history.replaceState(null, '', location.pathname + location.search);
-}
+function redirectUri(){ return window.location.origin + window.location.pathname; }
 
-function buildAuthorizeUrl({ clientId, region, redirectUri, state }){
+function buildAuthorizeUrl({ clientId, region, redirectUri, state, flow, codeChallenge }){
   const base = `https://login.${region}/oauth/authorize`;
   const qs = new URLSearchParams({
-    response_type: 'token',
+    response_type: flow === "pkce" ? "code" : "token",
     client_id: clientId,
     redirect_uri: redirectUri,
     state
   });
+  if (flow === "pkce") {
+    qs.set("code_challenge", codeChallenge);
+    qs.set("code_challenge_method", "S256");
+  }
   return `${base}?${qs}`;
 }
 
-// -------------------- Lookups --------------------
-async function fetchUsers(){
-  const entities = await getAllPages("/api/v2/users", { state: "active", pageSize: 100 });
-  return entities.map(u => ({ id: u.id, label: u.name || u.username || u.id }));
+// Stores the pending request (state + verifier) and returns the authorize URL
+async function beginLogin({ clientId, region, flow }, { popup = false } = {}){
+  const pending = { clientId, region, flow, popup, state: randomString(), redirectUri: redirectUri(), createdAt: Date.now() };
+  if (flow === "pkce") pending.verifier = randomString(48);
+  sessionStorage.setItem(PENDING_AUTH_KEY, JSON.stringify(pending));
+  sessionStorage.setItem(CLIENT_KEY, JSON.stringify({ clientId, region, flow }));
+  return buildAuthorizeUrl({ ...pending, codeChallenge: pending.verifier && await pkceChallenge(pending.verifier) });
+}
+
+function pendingAuth(){
+  try { return JSON.parse(sessionStorage.getItem(PENDING_AUTH_KEY) || "null"); }
+  catch (e) { return null; }
+}
+
+function savedClient(){
+  try { return JSON.parse(sessionStorage.getItem(CLIENT_KEY) || "null"); }
+  catch (e) { return null; }
+}
+
+// Reads an authorization response from the query (code) or hash (token)
+function readAuthResponse(search, hash){
+  const q = new URLSearchParams(search || "");
+  const h = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const error = q.get("error") || h.get("error");
+  if (error) return { kind: "error", error: q.get("error_description") || h.get("error_description") || error, state: q.get("state") || h.get("state") || "" };
+  if (q.get("code")) return { kind: "code", code: q.get("code"), state: q.get("state") || "" };
+  if (h.get("access_token")) return { kind: "token", accessToken: h.get("access_token"), expiresIn: Number(h.get("expires_in") || 0), state: h.get("state") || "" };
+  return null;
+}
+
+function stripAuthResponse(){
+  history.replaceState(null, "", location.pathname);
+}
+
+/**
+ * Verifies the state against the pending request, exchanges the code when
+ * using PKCE, and stores the token, region and expiry.
+ */
+async function completeLogin(response){
+  const pending = pendingAuth();
+  sessionStorage.removeItem(PENDING_AUTH_KEY);
+  if (!pending) throw new Error("No sign-in was started from this window");
+  if (!response.state || response.state !== pending.state) throw new Error("Sign-in response did not match the request (state mismatch)");
+  if (response.kind === "error") throw new Error(`Sign-in failed: ${response.error}`);
+
+  let accessToken = response.accessToken;
+  let expiresIn = response.expiresIn;
+  if (response.kind === "code") {
+    if (pending.flow !== "pkce" || !pending.verifier) throw new Error("Unexpected authorization code response");
+    const res = await fetch(`https://login.${pending.region}/oauth/token`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "authorization_code",
+        code: response.code,
+        redirect_uri: pending.redirectUri,
+        client_id: pending.clientId,
+        code_verifier: pending.verifier
+      })
+    });
+    if (!res.ok) throw new Error(`Token exchange failed: ${res.status} ${await res.text().catch(()=>"")}`);
+    const token = await res.json();
+    accessToken = token.access_token;
+    expiresIn = Number(token.expires_in || 0);
+  }
+  if (!accessToken) throw new Error("Sign-in returned no access token");
+  setToken(accessToken);
+  setRegion(pending.region);
+  setTokenExpiry(expiresIn);
+}
+
+// In the renewal popup: pass the response to the opener and close. The popup is
+// recognised by the flag renewInPopup stores with the pending request (a popup
+// starts with a copy of its opener's sessionStorage), since the app itself may
+// have been opened by another page.
+function forwardAuthToOpener(){
+  if (!window.opener || window.opener === window) return false;
+  const pending = pendingAuth();
+  if (!pending || !pending.popup) return false;
+  const response = readAuthResponse(location.search, location.hash);
+  if (!response) return false;
+  window.opener.postMessage({ type: AUTH_MESSAGE, response }, window.location.origin);
+  window.close();
+  return true;
 }
-async function fetchQueues(){
-  const entities = await getAllPages("/api/v2/routing/queues", { pageSize: 100 });
-  return entities.map(q => ({ id: q.id, label: q.name }));
+
+// Re-runs the saved client's flow in a popup; resolves once the new token is stored
+async function renewInPopup(){
+  const client = savedClient();
+  if (!client) throw new Error("No saved client; sign in again");
+  const url = await beginLogin(client, { popup: true });
+  const popup = window.open(url, AUTH_MESSAGE, "width=520,height=680");
+  if (!popup) throw new Error("The sign-in popup was blocked. Allow popups for this site and try again.");
+  return new Promise((resolve, reject) => {
+    const timer = setInterval(() => {
+      if (popup.closed) { cleanup(); reject(new Error("Sign-in popup was closed")); }
+    }, 500);
+    function cleanup(){ clearInterval(timer); window.removeEventListener("message", onMessage); }
+    async function onMessage(e){
+      if (e.origin !== window.location.origin || !e.data || e.data.type !== AUTH_MESSAGE) return;
+      cleanup();
+      try { await completeLogin(e.data.response); resolve(); }
+      catch (err) { reject(err); }
+    }
+    window.addEventListener("message", onMessage);
+  });
 }
-async function fetchSkills(){
-  const entities = await getAllPages("/api/v2/routing/skills", { pageSize: 200 });
-  return entities.map(s => ({ id: s.id, label: s.name }));
+
+// Revokes the token server-side (best effort) and clears everything stored for the session
+async function signOut(profile){
+  if (GC_TOKEN && GC_REGION && !tokenExpired()) {
+    await apiFetch("/api/v2/tokens/me", { method: "DELETE" }).catch(e => console.warn("Token revoke failed:", e));
+  }
+  await clearLookups(lookupScope(profile)).catch(e => console.warn("Lookup cache clear failed:", e));
+  setToken("");
+  setRegion("");
+  setTokenExpiry(0);
+  sessionStorage.removeItem(PENDING_AUTH_KEY);
+  sessionStorage.removeItem(CLIENT_KEY);
 }
-async function fetchLanguages(){
-  const entities = await getAllPages("/api/v2/routing/languages", { pageSize: 200 });
-  return entities.map(l => ({ id: l.id, label: l.name || l.code || l.id }));
+
+// -------------------- Lookup cache --------------------
+/*
+ * Lists are cached in IndexedDB per region and user for LOOKUP_TTL_MS.
+ * The cache is best effort: if IndexedDB is unavailable we just fetch.
+ */
+const LOOKUP_DB = "qpw-lookups";
+const LOOKUP_STORE = "lists";
+const LOOKUP_TTL_MS = 12 * 60 * 60 * 1000;
+
+let lookupDb = null;
+function openLookupDb(){
+  if (!lookupDb) {
+    lookupDb = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") { resolve(null); return; }
+      const req = indexedDB.open(LOOKUP_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(LOOKUP_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch(e => { console.warn("Lookup cache unavailable:", e); return null; });
+  }
+  return lookupDb;
 }
-async function fetchWorkTeams(){
-  const entities = await getAllPages("/api/v2/teams", { pageSize: 200 });
-  return entities.map(t => ({ id: t.id, label: t.name }));
+
+async function cacheRequest(mode, run){
+  const db = await openLookupDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const req = run(db.transaction(LOOKUP_STORE, mode).objectStore(LOOKUP_STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
 }
-async function fetchWrapUpCodes(){
-  const entities = await getAllPages("/api/v2/routing/wrapupcodes", { pageSize: 200 });
-  return entities.map(w => ({ id: w.id, label: w.name }));
+
+// Cache keys are "<region>|<user id>|<list>"
+function lookupScope(profile){
+  return `${GC_REGION}|${profile ? profile.id : ""}`;
 }
-async function fetchTopics(){
-  const entities = await getAllPages("/api/v2/speechandtextanalytics/topics", { pageSize: 200 });
-  return entities.map(t => ({ id: t.id, label: t.name }));
+
+// Drops every list cached for one region and user
+function clearLookups(scope){
+  return cacheRequest("readwrite", store => store.delete(IDBKeyRange.bound(`${scope}|`, `${scope}|\uffff`)));
 }
-async function fetchCategories(){
-  const entities = await getAllPages("/api/v2/speechandtextanalytics/categories", { pageSize: 200 });
-  return entities.map(c => ({ id: c.id, label: c.name }));
+
+/**
+ * Returns { items, truncated, savedAt, fromCache } for one lookup list,
+ * from the cache when fresh unless `force` is set.
+ */
+async function loadLookup(name, scope, force = false){
+  const key = `${scope}|${name}`;
+  if (!force) {
+    const cached = await cacheRequest("readonly", store => store.get(key)).catch(e => { console.warn("Lookup cache read failed:", e); return null; });
+    if (cached && Date.now() - cached.savedAt < LOOKUP_TTL_MS) return { ...cached, fromCache: true };
+  }
+  const items = await LOOKUP_SOURCES[name].fetch();
+  const entry = { items, truncated: !!items.truncated, savedAt: Date.now() };
+  await cacheRequest("readwrite", store => store.put(entry, key)).catch(e => console.warn("Lookup cache write failed:", e));
+  return { ...entry, fromCache: false };
 }
 
 // -------------------- Small UI helpers --------------------
+function downloadFile(filename, content, type){
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 function Stepper({ step, setStep }){
   const steps = [
     { n: 1, label: "Login" },
     { n: 2, label: "Criteria" },
+    { n: 3, label: "Search" },
+    { n: 4, label: "Evaluation Rules" },
+    { n: 5, label: "Review" },
+    { n: 6, label: "Execute" },
   ];
   return (
     <div className="flex items-center gap-3 mb-6">
@@ -183,10 +306,47 @@ function RegionSelect({ region, setRegion }){
   );
 }
 
-function MultiSelect({ label, options, value, onChange, placeholder="Type to search…" }){
+const OPTION_HEIGHT = 36; // px per option row; the list is virtualised on this
+const LIST_HEIGHT = 224;
+
+/**
+ * Renders only the visible rows so lists of tens of thousands stay fast.
+ * With `onSearch`, typing 2+ characters also queries the server and shows
+ * those matches alongside the local ones (for lists that were truncated).
+ */
+function MultiSelect({ label, options, value, onChange, placeholder="Type to search…", status, onSearch }){
   const [open, setOpen] = useState(false);
   const [query, setQuery] = useState("");
-  const filtered = useMemo(() => options.filter(o => (o.label||"").toLowerCase().includes(query.toLowerCase())), [options, query]);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [remote, setRemote] = useState({ loading: false, error: "", options: [] });
+  const listRef = useRef(null);
+  const seen = useRef(new Map());
+
+  const filtered = useMemo(() => {
+    const q = query.toLowerCase();
+    const local = q ? options.filter(o => (o.label||"").toLowerCase().includes(q)) : options;
+    return remote.options.length ? mergeOptions(local, remote.options) : local;
+  }, [options, query, remote.options]);
+
+  useEffect(() => {
+    setScrollTop(0);
+    if (listRef.current) listRef.current.scrollTop = 0;
+    const text = query.trim();
+    if (!onSearch || text.length < 2) { setRemote({ loading: false, error: "", options: [] }); return; }
+    let stale = false;
+    setRemote(r => ({ ...r, loading: true, error: "" }));
+    const timer = setTimeout(async () => {
+      try {
+        const found = await onSearch(text);
+        found.forEach(o => seen.current.set(o.id, o.label));
+        if (!stale) setRemote({ loading: false, error: "", options: found });
+      } catch (e) {
+        console.warn(`${label} search failed:`, e);
+        if (!stale) setRemote({ loading: false, error: String(e && e.message ? e.message : e), options: [] });
+      }
+    }, 300);
+    return () => { stale = true; clearTimeout(timer); };
+  }, [query]);
 
   function toggle(id){
     if (value.includes(id)) onChange(value.filter(v => v !== id));
@@ -194,11 +354,19 @@ function MultiSelect({ label, options, value, onChange, placeholder="Type to sea
   }
   function remove(id){ onChange(value.filter(v => v !== id)); }
 
-  function labelFor(id){ return (options.find(o => o.id === id)?.label) || id; }
+  function labelFor(id){ return (options.find(o => o.id === id)?.label) || seen.current.get(id) || id; }
+
+  const first = Math.max(0, Math.floor(scrollTop / OPTION_HEIGHT) - 5);
+  const visible = filtered.slice(first, first + Math.ceil(LIST_HEIGHT / OPTION_HEIGHT) + 10);
 
   return (
     <div className="w-full">
-      <label className="block text-sm font-medium mb-1">{label}</label>
+      <label className="flex items-center gap-2 text-sm font-medium mb-1">
+        {label}
+        {status && status.status === "loading" && <Loader2 className="w-3 h-3 animate-spin text-gray-500"/>}
+      </label>
+      {status && status.status === "error" && <p className="text-xs text-red-700 mb-1">Could not load: {status.error}</p>}
+      {status && status.truncated && <p className="text-xs text-amber-700 mb-1">Only the first {options.length} were loaded{onSearch ? "; type to search the rest" : ""}.</p>}
       <div className="flex flex-wrap gap-2 mb-2">
         {value.map(v => (
           <span key={v} className="inline-flex items-center gap-1 text-xs bg-gray-200 rounded px-2 py-1">
@@ -216,16 +384,22 @@ function MultiSelect({ label, options, value, onChange, placeholder="Type to sea
           onFocus={()=> setOpen(true)}
         />
         {open && (
-          <div className="absolute z-10 mt-1 w-full bg-white border rounded-md max-h-56 overflow-auto shadow">
+          <div ref={listRef} className="absolute z-10 mt-1 w-full bg-white border rounded-md overflow-auto shadow" style={{ maxHeight: LIST_HEIGHT }} onScroll={(e)=> setScrollTop(e.currentTarget.scrollTop)}>
+            {remote.loading && <div className="px-3 py-1 text-xs text-gray-500 flex items-center gap-1"><Loader2 className="w-3 h-3 animate-spin"/> Searching…</div>}
+            {remote.error && <div className="px-3 py-1 text-xs text-red-700">Search failed: {remote.error}</div>}
             {filtered.length === 0 ? (
               <div className="p-3 text-sm text-gray-500">No results</div>
             ) : (
-              filtered.map(opt => (
-                <button key={opt.id} className="w-full text-left px-3 py-2 hover:bg-gray-50 flex items-center gap-2" onClick={()=> toggle(opt.id)}>
-                  <input type="checkbox" readOnly checked={value.includes(opt.id)} />
-                  <span>{opt.label}</span>
-                </button>
-              ))
+              <div style={{ height: filtered.length * OPTION_HEIGHT, position: "relative" }}>
+                <div style={{ transform: `translateY(${first * OPTION_HEIGHT}px)` }}>
+                  {visible.map(opt => (
+                    <button key={opt.id} style={{ height: OPTION_HEIGHT }} className="w-full text-left px-3 hover:bg-gray-50 flex items-center gap-2" onClick={()=> toggle(opt.id)}>
+                      <input type="checkbox" readOnly checked={value.includes(opt.id)} />
+                      <span className="truncate">{opt.label}</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
             )}
           </div>
         )}
@@ -234,36 +408,40 @@ function MultiSelect({ label, options, value, onChange, placeholder="Type to sea
   );
 }
 
+// Per-list load state, cache age and a manual refresh
+function LookupStatus({ status, onRefresh }){
+  const entries = Object.entries(LOOKUP_SOURCES).map(([key, src]) => ({ key, label: src.label, ...(status[key] || { status: "loading" }) }));
+  const loading = entries.some(e => e.status === "loading");
+  const savedAt = entries.filter(e => e.savedAt).map(e => e.savedAt);
+  const oldest = savedAt.length ? Math.min(...savedAt) : 0;
+  const problems = entries.filter(e => e.status === "error" || e.truncated);
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 text-sm space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="flex items-center gap-2">
+          {loading ? <Loader2 className="w-4 h-4 animate-spin"/> : <CheckCircle2 className="w-4 h-4 text-green-600"/>}
+          {loading ? `Loading lists (${entries.filter(e => e.status !== "loading").length}/${entries.length})…` : "Lists loaded"}
+          {oldest > 0 && <span className="text-xs text-gray-500">· oldest cached {new Date(oldest).toLocaleString()}</span>}
+        </span>
+        <button disabled={loading} className="inline-flex items-center gap-1 border rounded px-3 py-1 disabled:opacity-60" onClick={onRefresh}><RefreshCw className="w-4 h-4"/> Refresh lists</button>
+      </div>
+      {problems.map(e => (
+        <div key={e.key} className={`flex items-center gap-2 text-xs ${e.status === "error" ? "text-red-700" : "text-amber-700"}`}>
+          <AlertTriangle className="w-3 h-3"/>
+          {e.status === "error" ? `${e.label}: could not load (${e.error})` : `${e.label}: stopped at the page limit; the list is incomplete`}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 // -------------------- Screens --------------------
-function SplashLogin({ onLogin }){
-  const [clientId, setClientId] = useState("");
-  const [region, setRegionLocal] = useState(GC_REGION || "mypurecloud.com");
+function SplashLogin({ error }){
+  const client = savedClient();
+  const [clientId, setClientId] = useState((client && client.clientId) || "");
+  const [region, setRegionLocal] = useState(GC_REGION || (client && client.region) || "mypurecloud.com");
+  const [flow, setFlow] = useState((client && client.flow) || "pkce");
   const [loading, setLoading] = useState(false);
-  const [me, setMe] = useState(null);
-
-  // On load, parse token from hash (implicit grant redirect)
-  useEffect(() => {
-    const parsed = parseAuthHash(location.hash);
-    if (parsed && parsed.accessToken) {
-      setToken(parsed.accessToken);
-      // Region is encoded in state as "qpw|<region>"
-      if (parsed.state && parsed.state.startsWith('qpw|')) {
-        const r = parsed.state.split('|')[1];
-        if (r) { setRegion(r); setRegionLocal(r); }
-      }
-      stripHash();
-      // Try to fetch current user
-      (async () => {
-        try {
-          const me = await apiFetch('/api/v2/users/me');
-          setMe(me);
-          onLogin({ me });
-        } catch (e) {
-          console.warn('Could not fetch /me after login:', e);
-        }
-      })();
-    }
-  }, []);
 
   return (
     <div className="max-w-xl mx-auto bg-white rounded-2xl shadow p-8">
@@ -278,38 +456,257 @@ function SplashLogin({ onLogin }){
       <label className="block text-sm font-medium">Region</label>
       <RegionSelect region={region} setRegion={setRegionLocal} />
 
+      <label className="block text-sm font-medium mt-4">Grant type</label>
+      <select className="mt-2 w-full border rounded-md p-2" value={flow} onChange={(e)=> setFlow(e.target.value)}>
+        <option value="pkce">Authorization code + PKCE (recommended)</option>
+        <option value="implicit">Implicit grant (legacy)</option>
+      </select>
+
+      {error && <div className="mt-4 flex items-center gap-2 text-sm text-red-700"><AlertTriangle className="w-4 h-4"/> {error}</div>}
+
       <button
         disabled={!clientId || loading}
         onClick={async ()=>{
           try {
             setLoading(true);
-            setRegion(region); // persist
-            const redirectUri = window.location.origin + window.location.pathname; // SPA-friendly
-            const authUrl = buildAuthorizeUrl({ clientId: clientId.trim(), region, redirectUri, state: `qpw|${region}` });
-            window.location.assign(authUrl);
-          } finally { setLoading(false); }
+            window.location.assign(await beginLogin({ clientId: clientId.trim(), region, flow }));
+          } catch (e) {
+            setLoading(false);
+            alert(`Could not start sign-in: ${e.message}`);
+          }
         }}
         className="mt-6 w-full inline-flex items-center justify-center gap-2 bg-black text-white rounded-md py-2"
       >
         {loading ? <Loader2 className="w-4 h-4 animate-spin"/> : <LogIn className="w-4 h-4"/>}
         Sign in
       </button>
-      <p className="mt-3 text-xs text-gray-500 flex items-center gap-1 justify-center"><ShieldCheck className="w-3 h-3"/> OAuth implicit grant (no SDK)</p>
+      <p className="mt-3 text-xs text-gray-500 flex items-center gap-1 justify-center"><ShieldCheck className="w-3 h-3"/> {flow === "pkce" ? "OAuth authorization code with PKCE" : "OAuth implicit grant"} (no SDK)</p>
     </div>
   );
 }
 
-function Criteria({ criteria, setCriteria, lookups }){
+// Warns before the token lapses and offers renewal or sign-in once it has
+function SessionBanner({ expiresAt, now, onRenew, renewing }){
+  if (!expiresAt) return null;
+  const left = expiresAt - now;
+  if (left > 5 * 60 * 1000) return null;
+  const expired = left <= 0;
+  return (
+    <div className={`mb-4 p-3 rounded-lg flex items-center justify-between text-sm ${expired ? "bg-red-50 text-red-800" : "bg-amber-50"}`}>
+      <span className="flex items-center gap-2"><Clock className="w-4 h-4"/> {expired ? "Your session has expired." : `Your session expires in ${Math.max(1, Math.ceil(left / 60000))} min.`}</span>
+      <button disabled={renewing} className="inline-flex items-center gap-1 border rounded px-3 py-1 bg-white disabled:opacity-60" onClick={onRenew}>
+        {renewing ? <Loader2 className="w-4 h-4 animate-spin"/> : <RefreshCw className="w-4 h-4"/>} {expired ? "Sign in again" : "Renew session"}
+      </button>
+    </div>
+  );
+}
+
+function PolicyLibrary({ policies, activePolicy, lookups, lookupStatus, onLoad, onSave, onSaveAs, onDuplicate, onDelete, onImport }){
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState("");
+  const { missing, unverified } = activePolicy ? checkPolicyRefs(activePolicy, lookups, lookupStatus) : { missing: [], unverified: [] };
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm">
+          <FolderOpen className="w-4 h-4"/>
+          {activePolicy ? <span>Policy: <b>{activePolicy.name}</b></span> : <span className="text-gray-500">Unsaved criteria</span>}
+        </div>
+        <div className="flex flex-wrap gap-2 text-sm">
+          {activePolicy && <button className="inline-flex items-center gap-1 border rounded px-3 py-1" onClick={onSave}><Save className="w-4 h-4"/> Save</button>}
+          <button className="inline-flex items-center gap-1 border rounded px-3 py-1" onClick={()=> { const name = prompt("Policy name", activePolicy ? `${activePolicy.name} (copy)` : ""); if (name && name.trim()) onSaveAs(name.trim()); }}><Save className="w-4 h-4"/> Save as…</button>
+          <button className="inline-flex items-center gap-1 border rounded px-3 py-1" onClick={()=> setOpen(!open)}>Library ({policies.length})</button>
+        </div>
+      </div>
+
+      {missing.length > 0 && (
+        <div className="text-sm text-amber-700 space-y-1">
+          <div className="flex items-center gap-2"><AlertTriangle className="w-4 h-4"/> {missing.length} item(s) in this policy no longer exist or are not visible:</div>
+          <ul className="text-xs pl-6 list-disc">
+            {missing.map(m => <li key={`${m.field}-${m.id}`}>{m.kind}: {m.label}{m.label !== m.id ? ` (${m.id})` : ""}</li>)}
+          </ul>
+        </div>
+      )}
+      {unverified.length > 0 && (
+        <div className="text-sm text-gray-600 space-y-1">
+          <div>{unverified.length} item(s) could not be verified because their list is still loading, failed or was truncated:</div>
+          <ul className="text-xs pl-6 list-disc">
+            {unverified.map(m => <li key={`${m.field}-${m.id}`}>{m.kind}: {m.label}{m.label !== m.id ? ` (${m.id})` : ""}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {open && (
+        <div className="pt-3 border-t space-y-2">
+          <div className="flex gap-2 text-sm">
+            <button disabled={!policies.length} className="inline-flex items-center gap-1 border rounded px-3 py-1 disabled:opacity-60" onClick={()=> downloadFile("quality-policies.json", exportPolicies(policies), "application/json")}><Download className="w-4 h-4"/> Export all</button>
+            <label className="inline-flex items-center gap-1 border rounded px-3 py-1 cursor-pointer">
+              <Upload className="w-4 h-4"/> Import
+              <input type="file" accept=".json" className="hidden" onChange={async (e)=> {
+                const f = e.target.files[0]; e.target.value = "";
+                if (!f) return;
+                try { onImport(parsePolicyFile(await f.text())); setError(""); }
+                catch (err) { setError(err.message); }
+              }} />
+            </label>
+          </div>
+          {error && <div className="flex items-center gap-2 text-sm text-red-700"><AlertTriangle className="w-4 h-4"/> {error}</div>}
+          {policies.length === 0 ? (
+            <p className="text-sm text-gray-500">No saved policies yet.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead><tr className="text-left text-xs text-gray-500"><th className="py-1">Name</th><th className="py-1">Updated</th><th className="py-1">Issues</th><th></th></tr></thead>
+              <tbody>
+                {policies.map(p => {
+                  const refs = checkPolicyRefs(p, lookups, lookupStatus);
+                  const issues = [refs.missing.length && `${refs.missing.length} missing`, refs.unverified.length && `${refs.unverified.length} unverified`].filter(Boolean).join(", ");
+                  return (
+                    <tr key={p.id} className={`border-t ${activePolicy && activePolicy.id === p.id ? "bg-gray-50" : ""}`}>
+                      <td className="py-1">{p.name}</td>
+                      <td className="py-1 text-xs">{p.updatedAt}</td>
+                      <td className={`py-1 text-xs ${refs.missing.length ? "text-amber-700" : "text-gray-500"}`}>{issues || "—"}</td>
+                      <td className="py-1 text-right space-x-1 whitespace-nowrap">
+                        <button className="border rounded px-2 py-1 text-xs" onClick={()=> onLoad(p)}>Load</button>
+                        <button className="border rounded px-2 py-1 text-xs" onClick={()=> onDuplicate(p)}><Copy className="w-3 h-3 inline"/></button>
+                        <button className="border rounded px-2 py-1 text-xs" onClick={()=> downloadFile(`${p.name.replace(/[^\w-]+/g, "_")}.policy.json`, exportPolicies([p]), "application/json")}><Download className="w-3 h-3 inline"/></button>
+                        <button className="border rounded px-2 py-1 text-xs text-red-700" onClick={()=> { if (confirm(`Delete policy "${p.name}"?`)) onDelete(p); }}><Trash2 className="w-3 h-3 inline"/></button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DueRuns({ policies, activeSlice, onSchedule, onRun, onClearSlice }){
+  const now = new Date();
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-2">
+      <div className="flex items-center gap-2 text-sm font-medium"><CalendarClock className="w-4 h-4"/> Recurring runs</div>
+      {activeSlice && (
+        <p className="text-xs text-gray-600">
+          Searching scheduled slice <span className="font-mono">{activeSlice.slice.interval}</span> instead of the policy's dates.{" "}
+          <button className="underline" onClick={onClearSlice}>Use the policy's dates</button>
+        </p>
+      )}
+      <table className="w-full text-sm">
+        <thead><tr className="text-left text-xs text-gray-500"><th className="py-1">Policy</th><th className="py-1">Cadence</th><th className="py-1">Last run</th><th className="py-1">Next slice</th><th></th></tr></thead>
+        <tbody>
+          {policies.map(p => {
+            const due = p.schedule ? dueSlices(p, now) : [];
+            const next = p.schedule ? nextSlice(p, now) : null;
+            return (
+              <tr key={p.id} className="border-t align-top">
+                <td className="py-1">{p.name}</td>
+                <td className="py-1">
+                  <select className="border rounded p-1 text-xs" value={(p.schedule && p.schedule.cadence) || ""} onChange={(e)=> onSchedule(p, e.target.value)}>
+                    <option value="">Not scheduled</option>
+                    {Object.entries(CADENCES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                  </select>
+                </td>
+                <td className="py-1 text-xs">{p.lastRun ? <>up to <span className="font-mono">{p.lastRun.intervalEnd}</span><div className="text-gray-500">ran {p.lastRun.ranAt}</div></> : "—"}</td>
+                <td className="py-1 text-xs">{next ? <span className="font-mono">{next.interval}</span> : "—"}{due.length > 1 && <div className="text-amber-700">{due.length} slices due</div>}</td>
+                <td className="py-1 text-right">
+                  {due.length > 0 && <button className="border rounded px-2 py-1 text-xs bg-black text-white" onClick={()=> onRun(p)}>Run due slice</button>}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Recursive editor for criteria groups; `onRemove` is absent on the root
+function GroupBuilder({ node, onChange, onRemove, lookups, lookupStatus, searches, depth = 0 }){
+  function setChild(i, child){ onChange({ ...node, children: node.children.map((c, j) => (j === i ? child : c)) }); }
+  function removeChild(i){ onChange({ ...node, children: node.children.filter((_, j) => j !== i) }); }
+  return (
+    <div className={`space-y-3 ${depth ? "border-l-4 border-gray-200 pl-3" : ""}`}>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <label className="inline-flex items-center gap-1">
+          <input type="checkbox" checked={!!node.negate} onChange={(e)=> onChange({ ...node, negate: e.target.checked })} /> NOT
+        </label>
+        <select className="border rounded-md p-1" value={node.op} onChange={(e)=> onChange({ ...node, op: e.target.value })}>
+          <option value="and">All of (AND)</option>
+          <option value="or">Any of (OR)</option>
+        </select>
+        <button className="border rounded px-2 py-1" onClick={()=> onChange({ ...node, children: [...node.children, newCondition()] })}>+ Condition</button>
+        <button className="border rounded px-2 py-1" onClick={()=> onChange({ ...node, children: [...node.children, newGroup(node.op === "and" ? "or" : "and")] })}>+ Group</button>
+        {onRemove && <button className="ml-auto hover:text-red-600" onClick={onRemove}><Trash2 className="w-4 h-4"/></button>}
+      </div>
+      {node.children.length === 0 && <p className="text-xs text-gray-500">No conditions; this group matches everything.</p>}
+      {node.children.map((child, i) => child.kind === "group" ? (
+        <GroupBuilder key={child.id} node={child} onChange={(c)=> setChild(i, c)} onRemove={()=> removeChild(i)} lookups={lookups} lookupStatus={lookupStatus} searches={searches} depth={depth + 1} />
+      ) : (
+        <div key={child.id} className="grid grid-cols-1 md:grid-cols-[10rem_8rem_1fr_auto] gap-2 items-start">
+          <select className="border rounded-md p-2" value={child.dimension} onChange={(e)=> setChild(i, { ...child, dimension: e.target.value, values: [] })}>
+            {Object.entries(GROUP_DIMENSIONS).map(([k, d]) => <option key={k} value={k}>{d.label}</option>)}
+          </select>
+          <select className="border rounded-md p-2" value={child.mode} onChange={(e)=> setChild(i, { ...child, mode: e.target.value })}>
+            <option value="include">is</option>
+            <option value="exclude">is not</option>
+          </select>
+          <MultiSelect
+            label=""
+            options={GROUP_DIMENSIONS[child.dimension].options || lookups[GROUP_DIMENSIONS[child.dimension].lookup] || []}
+            status={lookupStatus[GROUP_DIMENSIONS[child.dimension].lookup]}
+            onSearch={searches[child.dimension]}
+            value={child.values}
+            onChange={(v)=> setChild(i, { ...child, values: v })}
+          />
+          <button className="mt-2 hover:text-red-600" onClick={()=> removeChild(i)}><X className="w-4 h-4"/></button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Criteria({ criteria, setCriteria, lookups, lookupStatus, onSearchUsers, onSearchQueues }){
   const { users, queues, skills, languages, workTeams, wrapUps, topics, categories } = lookups;
+  const timeZones = useMemo(timeZoneOptions, []);
+  const resolved = useMemo(() => {
+    try { return resolveInterval(criteria); }
+    catch (e) { return { error: e.message }; }
+  }, [criteria]);
   return (
     <div className="bg-white rounded-2xl shadow p-6 space-y-6">
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         <div>
-          <label className="block text-sm font-medium">Date range (UTC)</label>
-          <div className="flex gap-3 mt-1">
-            <input type="date" className="border rounded-md p-2 w-full" value={criteria.dateFrom} onChange={(e)=> setCriteria({ ...criteria, dateFrom: e.target.value })} />
-            <input type="date" className="border rounded-md p-2 w-full" value={criteria.dateTo} onChange={(e)=> setCriteria({ ...criteria, dateTo: e.target.value })} />
+          <label className="block text-sm font-medium">Date range</label>
+          <div className="grid grid-cols-2 gap-3 mt-1">
+            <select className="border rounded-md p-2" value={criteria.dateMode} onChange={(e)=> setCriteria({ ...criteria, dateMode: e.target.value })}>
+              <option value="fixed">Fixed dates</option>
+              <option value="relative">Relative window</option>
+              <option value="iso">ISO-8601 interval</option>
+            </select>
+            <select className="border rounded-md p-2" value={criteria.timeZone} onChange={(e)=> setCriteria({ ...criteria, timeZone: e.target.value })} disabled={criteria.dateMode === "iso"}>
+              {timeZones.map(tz => <option key={tz} value={tz}>{tz}</option>)}
+            </select>
+          </div>
+          <div className="flex gap-3 mt-2">
+            {criteria.dateMode === "fixed" && (
+              <>
+                <input type="date" className="border rounded-md p-2 w-full" value={criteria.dateFrom} onChange={(e)=> setCriteria({ ...criteria, dateFrom: e.target.value })} />
+                <input type="date" className="border rounded-md p-2 w-full" value={criteria.dateTo} onChange={(e)=> setCriteria({ ...criteria, dateTo: e.target.value })} />
+              </>
+            )}
+            {criteria.dateMode === "relative" && (
+              <select className="border rounded-md p-2 w-full" value={criteria.relativeWindow} onChange={(e)=> setCriteria({ ...criteria, relativeWindow: e.target.value })}>
+                {Object.entries(RELATIVE_WINDOWS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+            )}
+            {criteria.dateMode === "iso" && (
+              <input className="border rounded-md p-2 w-full font-mono text-sm" placeholder="2025-09-01T00:00:00Z/P7D" value={criteria.isoInterval} onChange={(e)=> setCriteria({ ...criteria, isoInterval: e.target.value.trim() })} />
+            )}
           </div>
+          <p className={`text-xs mt-1 ${resolved.error ? "text-red-700" : "text-gray-500"}`}>{resolved.error || resolved.interval}</p>
         </div>
         <div>
           <label className="block text-sm font-medium">Media type</label>
@@ -328,14 +725,21 @@ function Criteria({ criteria, setCriteria, lookups }){
             <option value="outbound">Outbound</option>
           </select>
         </div>
-        <MultiSelect label="Queues" options={queues} value={criteria.queues} onChange={(v)=> setCriteria({ ...criteria, queues: v })} />
-        <MultiSelect label="Agents / Users" options={users} value={criteria.users} onChange={(v)=> setCriteria({ ...criteria, users: v })} />
-        <MultiSelect label="Work teams" options={workTeams} value={criteria.workTeams} onChange={(v)=> setCriteria({ ...criteria, workTeams: v })} />
-        <MultiSelect label="Wrap-up codes" options={wrapUps} value={criteria.wrapUpCodes} onChange={(v)=> setCriteria({ ...criteria, wrapUpCodes: v })} />
-        <MultiSelect label="Skills" options={skills} value={criteria.skills} onChange={(v)=> setCriteria({ ...criteria, skills: v })} />
-        <MultiSelect label="Languages" options={languages} value={criteria.languages} onChange={(v)=> setCriteria({ ...criteria, languages: v })} />
         <div>
-          <label className="block text-sm font-medium">Duration (seconds)</label>
+          <label className="block text-sm font-medium">Agent attribution</label>
+          <select className="mt-1 w-full border rounded-md p-2" value={criteria.agentAttribution} onChange={(e)=> setCriteria({ ...criteria, agentAttribution: e.target.value })}>
+            {Object.entries(AGENT_ATTRIBUTION).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">Which agents of a transferred conversation become candidates.</p>
+        </div>
+        <MultiSelect label="Queues" options={queues} status={lookupStatus.queues} onSearch={onSearchQueues} value={criteria.queues} onChange={(v)=> setCriteria({ ...criteria, queues: v })} />
+        <MultiSelect label="Agents / Users" options={users} status={lookupStatus.users} onSearch={onSearchUsers} value={criteria.users} onChange={(v)=> setCriteria({ ...criteria, users: v })} />
+        <MultiSelect label="Work teams" options={workTeams} status={lookupStatus.workTeams} value={criteria.workTeams} onChange={(v)=> setCriteria({ ...criteria, workTeams: v })} />
+        <MultiSelect label="Wrap-up codes" options={wrapUps} status={lookupStatus.wrapUps} value={criteria.wrapUpCodes} onChange={(v)=> setCriteria({ ...criteria, wrapUpCodes: v })} />
+        <MultiSelect label="Skills" options={skills} status={lookupStatus.skills} value={criteria.skills} onChange={(v)=> setCriteria({ ...criteria, skills: v })} />
+        <MultiSelect label="Languages" options={languages} status={lookupStatus.languages} value={criteria.languages} onChange={(v)=> setCriteria({ ...criteria, languages: v })} />
+        <div>
+          <label className="block text-sm font-medium">Handle time (seconds)</label>
           <div className="grid grid-cols-2 gap-2 mt-1">
             <input type="number" className="border rounded-md p-2" placeholder="Min" value={criteria.minDurationSec ?? ""} onChange={(e)=> setCriteria({ ...criteria, minDurationSec: e.target.value === "" ? undefined : Number(e.target.value) })} />
             <input type="number" className="border rounded-md p-2" placeholder="Max" value={criteria.maxDurationSec ?? ""} onChange={(e)=> setCriteria({ ...criteria, maxDurationSec: e.target.value === "" ? undefined : Number(e.target.value) })} />
@@ -343,6 +747,21 @@ function Criteria({ criteria, setCriteria, lookups }){
         </div>
       </div>
 
+      <div className="pt-4 border-t space-y-3">
+        <div>
+          <h3 className="text-base font-semibold">Criteria groups</h3>
+          <p className="text-xs text-gray-500">Combine conditions with AND / OR / NOT, e.g. queue A OR (queue B AND wrap-up X). Applied on top of the filters above.</p>
+        </div>
+        <GroupBuilder
+          node={criteria.group || newGroup("and")}
+          onChange={(group)=> setCriteria({ ...criteria, group })}
+          lookups={lookups}
+          lookupStatus={lookupStatus}
+          searches={{ user: onSearchUsers, queue: onSearchQueues }}
+        />
+        {pruneGroup(criteria.group) && <p className="text-xs text-gray-600"><b>Reads as:</b> {describeGroup(pruneGroup(criteria.group), lookups)}</p>}
+      </div>
+
       <div className="pt-4 border-t">
         <label className="inline-flex items-center gap-2">
           <input type="checkbox" checked={criteria.useAdvanced} onChange={(e)=> setCriteria({ ...criteria, useAdvanced: e.target.checked })} />
@@ -363,14 +782,14 @@ function Criteria({ criteria, setCriteria, lookups }){
               )}
             </div>
             <div>
-              <MultiSelect label="Topics include" options={topics} value={criteria.includeTopics} onChange={(v)=> setCriteria({ ...criteria, useTopics: true, includeTopics: v })} />
+              <MultiSelect label="Topics include" options={topics} status={lookupStatus.topics} value={criteria.includeTopics} onChange={(v)=> setCriteria({ ...criteria, useTopics: true, includeTopics: v })} />
               <div className="mt-2" />
-              <MultiSelect label="Topics exclude" options={topics} value={criteria.excludeTopics} onChange={(v)=> setCriteria({ ...criteria, useTopics: true, excludeTopics: v })} />
+              <MultiSelect label="Topics exclude" options={topics} status={lookupStatus.topics} value={criteria.excludeTopics} onChange={(v)=> setCriteria({ ...criteria, useTopics: true, excludeTopics: v })} />
             </div>
             <div>
-              <MultiSelect label="Categories include" options={categories} value={criteria.includeCategories} onChange={(v)=> setCriteria({ ...criteria, useCategories: true, includeCategories: v })} />
+              <MultiSelect label="Categories include" options={categories} status={lookupStatus.categories} value={criteria.includeCategories} onChange={(v)=> setCriteria({ ...criteria, useCategories: true, includeCategories: v })} />
               <div className="mt-2" />
-              <MultiSelect label="Categories exclude" options={categories} value={criteria.excludeCategories} onChange={(v)=> setCriteria({ ...criteria, useCategories: true, excludeCategories: v })} />
+              <MultiSelect label="Categories exclude" options={categories} status={lookupStatus.categories} value={criteria.excludeCategories} onChange={(v)=> setCriteria({ ...criteria, useCategories: true, excludeCategories: v })} />
             </div>
           </div>
         )}
@@ -379,74 +798,1018 @@ function Criteria({ criteria, setCriteria, lookups }){
   );
 }
 
+
+function countBy(hits, key){
+  const out = {};
+  hits.forEach(h => { const k = h[key] || "unknown"; out[k] = (out[k] || 0) + 1; });
+  return Object.entries(out).sort((a,b) => b[1] - a[1]);
+}
+
+function SearchResults({ search, lookups, onRun, onCancel, overrides, setOverrides, sampledIds, canResample, onResample }){
+  const { status, progress, error, hits, counts, warnings = [] } = search;
+  if (status === "running") {
+    return (
+      <div className="p-6 bg-white rounded-2xl shadow flex items-center justify-between gap-3 text-sm">
+        <div className="flex items-center gap-3"><Loader2 className="w-4 h-4 animate-spin"/> {progress || "Searching…"}</div>
+        <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={onCancel}><Square className="w-4 h-4"/> Cancel search</button>
+      </div>
+    );
+  }
+  if (status === "cancelled") {
+    return (
+      <div className="p-6 bg-white rounded-2xl shadow flex items-center justify-between gap-3 text-sm">
+        <span className="text-gray-600">Search cancelled; its analytics job was deleted.</span>
+        <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={onRun}><RefreshCw className="w-4 h-4"/> Run again</button>
+      </div>
+    );
+  }
+  if (status === "error") {
+    return (
+      <div className="p-6 bg-white rounded-2xl shadow space-y-3">
+        <div className="flex items-center gap-2 text-sm text-red-700"><AlertTriangle className="w-4 h-4"/> Search failed</div>
+        <pre className="text-xs whitespace-pre-wrap bg-red-50 rounded p-3">{error}</pre>
+        <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={onRun}><RefreshCw className="w-4 h-4"/> Retry</button>
+      </div>
+    );
+  }
+  if (status !== "done") {
+    return <div className="p-6 bg-white rounded-2xl shadow text-sm text-gray-500">No search has been run yet.</div>;
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-6 space-y-6">
+      {warnings.length > 0 && (
+        <div className="p-3 rounded-lg bg-amber-50 text-amber-800 text-sm space-y-1">
+          <div className="flex items-center gap-2 font-medium"><AlertTriangle className="w-4 h-4"/> Results are incomplete</div>
+          <ul className="list-disc pl-6 text-xs">{warnings.map((w, i) => <li key={i}>{w}</li>)}</ul>
+        </div>
+      )}
+      <div className="flex items-start justify-between">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+          <div className="p-3 rounded-lg bg-gray-50"><b>Analytics rows:</b> {counts.analytics}</div>
+          <div className="p-3 rounded-lg bg-gray-50"><b>After filters:</b> {counts.filtered}</div>
+          {counts.group !== undefined && <div className="p-3 rounded-lg bg-gray-50"><b>After criteria groups:</b> {counts.group}</div>}
+          {counts.sta !== undefined && <div className="p-3 rounded-lg bg-gray-50"><b>After STA:</b> {counts.sta}</div>}
+          <div className="p-3 rounded-lg bg-gray-50"><b>Matching:</b> {hits.length}</div>
+        </div>
+        <button className="inline-flex items-center gap-1 border rounded px-3 py-2 text-sm" onClick={onRun}><RefreshCw className="w-4 h-4"/> Re-run</button>
+      </div>
+
+      <CandidateExplorer hits={hits} lookups={lookups} overrides={overrides} setOverrides={setOverrides} sampledIds={sampledIds} canResample={canResample} onResample={onResample} />
+    </div>
+  );
+}
+
+// Bands over a hit's sentimentScore, which core keeps on -1..1 whichever STA API it came from
+const SENTIMENT_LABELS = [[-0.55, "Very negative"], [-0.2, "Negative"], [0.2, "Neutral"], [0.55, "Positive"], [Infinity, "Very positive"]];
+function sentimentLabel(score){
+  if (typeof score !== "number") return "—";
+  return `${SENTIMENT_LABELS.find(([max]) => score < max)[1]} (${score.toFixed(2)})`;
+}
+
+// Sortable/filterable columns of the candidate pool; `value` feeds sorting and the text filter
+const CANDIDATE_COLUMNS = [
+  { key: "startTime", label: "Start", value: (h) => h.startTime || "" },
+  { key: "agent", label: "Agent", value: (h, l) => labelOf(l.users, h.agentId) },
+  { key: "queue", label: "Queue", value: (h, l) => labelOf(l.queues, h.queueId) },
+  { key: "wrapUp", label: "Wrap-up", value: (h, l) => labelOf(l.wrapUps, h.wrapUpCode) },
+  { key: "durationSec", label: "Handle (s)", value: (h) => h.durationSec ?? -1, show: (h) => h.durationSec ?? "—" },
+  { key: "mediaType", label: "Media", value: (h) => h.mediaType || "" },
+  { key: "direction", label: "Direction", value: (h) => h.direction || "" },
+  { key: "language", label: "Language", value: (h, l) => (h.language ? labelOf(l.languages, h.language) : "") },
+  { key: "sentiment", label: "Sentiment", value: (h) => (typeof h.sentimentScore === "number" ? h.sentimentScore : -Infinity), show: (h) => sentimentLabel(h.sentimentScore) }
+];
+const EXPLORER_ROW_LIMIT = 500;
+
+function DistributionChart({ title, rows, total }){
+  const max = rows.length ? rows[0][1] : 0;
+  return (
+    <div>
+      <h3 className="font-semibold mb-2">{title} ({rows.length})</h3>
+      <ul className="space-y-1 max-h-48 overflow-auto">
+        {rows.map(([label, n]) => (
+          <li key={label} className="grid grid-cols-[minmax(0,12rem)_1fr_3rem] items-center gap-2">
+            <span className="truncate" title={label}>{label}</span>
+            <span className="h-3 bg-gray-100 rounded"><span className="block h-3 bg-gray-700 rounded" style={{ width: `${max ? 100 * n / max : 0}%` }} /></span>
+            <span className="text-right text-xs text-gray-600" title={`${Math.round(100 * n / total)}% of shown`}>{n}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Browse the candidate pool before sampling. Pinned conversations are
+ * always sampled and banned ones never are; re-running sampling applies both.
+ */
+function CandidateExplorer({ hits, lookups, overrides, setOverrides, sampledIds, canResample, onResample }){
+  const [text, setText] = useState("");
+  const [show, setShow] = useState("all");
+  const [sort, setSort] = useState({ key: "startTime", dir: 1 });
+  const pinned = useMemo(() => new Set(overrides.pinned), [overrides]);
+  const banned = useMemo(() => new Set(overrides.banned), [overrides]);
+
+  const rows = useMemo(() => {
+    const q = text.trim().toLowerCase();
+    const withValues = hits.map(h => ({ hit: h, values: Object.fromEntries(CANDIDATE_COLUMNS.map(c => [c.key, c.value(h, lookups)])) }));
+    const filtered = withValues.filter(({ hit, values }) => {
+      if (show === "pinned" && !pinned.has(hitKey(hit))) return false;
+      if (show === "banned" && !banned.has(hitKey(hit))) return false;
+      if (show === "sampled" && !(sampledIds && sampledIds.has(hitKey(hit)))) return false;
+      return !q || hit.conversationId.toLowerCase().includes(q) || Object.values(values).some(v => String(v).toLowerCase().includes(q));
+    });
+    const col = CANDIDATE_COLUMNS.find(c => c.key === sort.key);
+    return filtered.sort((a, b) => {
+      const x = a.values[col.key], y = b.values[col.key];
+      return (x < y ? -1 : x > y ? 1 : 0) * sort.dir;
+    });
+  }, [hits, lookups, text, show, sort, pinned, banned, sampledIds]);
+
+  const shownHits = rows.map(r => r.hit);
+  const byAgent = countBy(shownHits, "agentId").map(([id, n]) => [labelOf(lookups.users, id === "unknown" ? "" : id), n]);
+  const byQueue = countBy(shownHits, "queueId").map(([id, n]) => [labelOf(lookups.queues, id === "unknown" ? "" : id), n]);
+
+  function toggle(list, id){
+    const other = list === "pinned" ? "banned" : "pinned";
+    const has = overrides[list].includes(id);
+    setOverrides({
+      [list]: has ? overrides[list].filter(x => x !== id) : [...overrides[list], id],
+      [other]: overrides[other].filter(x => x !== id)
+    });
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm">
+        <DistributionChart title="By agent" rows={byAgent} total={rows.length} />
+        <DistributionChart title="By queue" rows={byQueue} total={rows.length} />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <input className="border rounded-md p-2 flex-1 min-w-[12rem]" placeholder="Filter by any column…" value={text} onChange={(e)=> setText(e.target.value)} />
+        <select className="border rounded-md p-2" value={show} onChange={(e)=> setShow(e.target.value)}>
+          <option value="all">All candidates</option>
+          <option value="pinned">Pinned ({overrides.pinned.length})</option>
+          <option value="banned">Banned ({overrides.banned.length})</option>
+          {sampledIds && <option value="sampled">In current sample ({sampledIds.size})</option>}
+        </select>
+        <button disabled={!overrides.pinned.length && !overrides.banned.length} className="border rounded px-3 py-2 disabled:opacity-60" onClick={()=> setOverrides({ pinned: [], banned: [] })}>Clear pins / bans</button>
+        {onResample && <button disabled={!canResample} className="inline-flex items-center gap-1 border rounded px-3 py-2 disabled:opacity-60" onClick={onResample}><RefreshCw className="w-4 h-4"/> Re-run sampling</button>}
+      </div>
+      <p className="text-xs text-gray-500">Pinned conversations are always sampled, on top of the sampling rules; banned ones never are.</p>
+
+      <div className="max-h-96 overflow-auto border rounded">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-left">
+              <th className="p-2">Pin / ban</th>
+              <th className="p-2">Conversation</th>
+              {CANDIDATE_COLUMNS.map(c => (
+                <th key={c.key} className="p-2 cursor-pointer select-none" onClick={()=> setSort(s => ({ key: c.key, dir: s.key === c.key ? -s.dir : 1 }))}>
+                  {c.label}{sort.key === c.key ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, EXPLORER_ROW_LIMIT).map(({ hit, values }) => (
+              <tr key={hitKey(hit)} className={`border-t ${banned.has(hitKey(hit)) ? "opacity-50" : ""} ${sampledIds && sampledIds.has(hitKey(hit)) ? "bg-green-50" : ""}`}>
+                <td className="p-2 whitespace-nowrap">
+                  <button title="Always sample" className={`border rounded px-1 mr-1 ${pinned.has(hitKey(hit)) ? "bg-black text-white" : ""}`} onClick={()=> toggle("pinned", hitKey(hit))}>Pin</button>
+                  <button title="Never sample" className={`border rounded px-1 ${banned.has(hitKey(hit)) ? "bg-red-600 text-white" : ""}`} onClick={()=> toggle("banned", hitKey(hit))}>Ban</button>
+                </td>
+                <td className="p-2 font-mono">{hit.conversationId}</td>
+                {CANDIDATE_COLUMNS.map(c => <td key={c.key} className="p-2">{c.show ? c.show(hit) : values[c.key] || "—"}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length > EXPLORER_ROW_LIMIT && <div className="p-3 text-xs text-gray-500">Showing the first {EXPLORER_ROW_LIMIT} of {rows.length}; narrow the filter to see the rest.</div>}
+        {hits.length === 0 && <div className="p-3 text-sm text-gray-500">No conversations match these criteria.</div>}
+        {hits.length > 0 && rows.length === 0 && <div className="p-3 text-sm text-gray-500">No candidates match the filter.</div>}
+      </div>
+    </div>
+  );
+}
+
+function NumberField({ label, value, min = 0, max, onChange, help }){
+  return (
+    <div>
+      <label className="block text-sm font-medium">{label}</label>
+      <input type="number" min={min} max={max} className="mt-1 w-full border rounded-md p-2" value={value} onChange={(e)=> onChange(Math.max(min, Number(e.target.value)))} />
+      {help && <p className="text-xs text-gray-500 mt-1">{help}</p>}
+    </div>
+  );
+}
+
+function SamplingFields({ rules, setRules }){
+  const set = (patch) => setRules({ ...rules, ...patch });
+  switch (rules.mode){
+    case "byAgent":
+      return <NumberField label="Evaluations per agent" min={1} value={rules.perAgentTarget} onChange={(v)=> set({ perAgentTarget: v })} help="Randomly sample per agent from the candidate pool." />;
+    case "percentPerAgent":
+      return (
+        <>
+          <NumberField label="Percent of each agent's volume" min={1} max={100} value={rules.perAgentPercent} onChange={(v)=> set({ perAgentPercent: Math.min(100, v) })} help="Rounded up per agent." />
+          <NumberField label="Minimum per agent" value={rules.perAgentMin} onChange={(v)=> set({ perAgentMin: v })} />
+        </>
+      );
+    case "randomCount":
+      return <NumberField label="Total evaluations to create" min={1} value={rules.randomTargetCount} onChange={(v)=> set({ randomTargetCount: v })} help="Randomly select from the entire pool, regardless of agent." />;
+    case "stratified":
+      return (
+        <>
+          <div>
+            <label className="block text-sm font-medium">Stratify by</label>
+            <select className="mt-1 w-full border rounded-md p-2" value={rules.strataKey} onChange={(e)=> set({ strataKey: e.target.value })}>
+              {Object.entries(STRATA_KEYS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+          </div>
+          <NumberField label="Total evaluations to create" min={1} value={rules.randomTargetCount} onChange={(v)=> set({ randomTargetCount: v })} help="Split across strata in proportion to their volume." />
+          <NumberField label="Minimum per stratum" value={rules.strataMin} onChange={(v)=> set({ strataMin: v })} help="Minimums are met first and may push the total above the target." />
+        </>
+      );
+    case "weighted":
+      return (
+        <>
+          <div>
+            <label className="block text-sm font-medium">Weight toward</label>
+            <select className="mt-1 w-full border rounded-md p-2" value={rules.weightBy} onChange={(e)=> set({ weightBy: e.target.value })}>
+              {Object.entries(WEIGHT_BY).map(([k, w]) => <option key={k} value={k}>{w.label}</option>)}
+            </select>
+          </div>
+          <NumberField label="Total evaluations to create" min={1} value={rules.randomTargetCount} onChange={(v)=> set({ randomTargetCount: v })} help={rules.weightBy === "negativeSentiment" ? "Sentiment is loaded from Speech & Text Analytics before sampling." : undefined} />
+        </>
+      );
+    default:
+      return null;
+  }
+}
+
+function EvalRules({ rules, setRules, forms, evaluators, lookupStatus }){
+  return (
+    <div className="bg-white rounded-2xl shadow p-6 space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="md:col-span-3">
+          <label className="block text-sm font-medium">Evaluation type</label>
+          <select className="mt-1 w-full border rounded-md p-2" value={rules.mode} onChange={(e)=> setRules({ ...rules, mode: e.target.value })}>
+            {Object.entries(SAMPLING_MODES).map(([key, m]) => <option key={key} value={key}>{m.label}</option>)}
+          </select>
+        </div>
+
+        <SamplingFields rules={rules} setRules={setRules} />
+
+        <div>
+          <label className="block text-sm font-medium">Seed</label>
+          <input className="mt-1 w-full border rounded-md p-2" placeholder="Random each run" value={rules.seed} onChange={(e)=> setRules({ ...rules, seed: e.target.value.trim() })} />
+          <p className="text-xs text-gray-500 mt-1">The same seed and candidate pool reproduce the same sample.</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium">Evaluation form</label>
+          <select className="mt-1 w-full border rounded-md p-2" value={rules.evalFormId} onChange={(e)=> setRules({ ...rules, evalFormId: e.target.value })}>
+            <option value="">Select a published form…</option>
+            {forms.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
+          {lookupStatus.forms && lookupStatus.forms.status === "error" && <p className="text-xs text-red-700 mt-1">Could not load forms: {lookupStatus.forms.error}</p>}
+          {forms.length === 0 && lookupStatus.forms && lookupStatus.forms.status === "ready" && <p className="text-xs text-gray-500 mt-1">No published evaluation forms found.</p>}
+        </div>
+
+        <div className="md:col-span-3">
+          <MultiSelect label="Evaluators" options={evaluators} status={lookupStatus.evaluators} value={rules.evaluatorIds} onChange={(v)=> setRules({ ...rules, evaluatorIds: v })} />
+          <p className="text-xs text-gray-500 mt-1">Only users with evaluator permissions are listed. Assignments go to the evaluator with the lowest open workload relative to their weight.</p>
+          {rules.evaluatorIds.length > 0 && (
+            <table className="mt-3 w-full text-sm">
+              <thead><tr className="text-left text-xs text-gray-500"><th className="py-1">Evaluator</th><th className="py-1">Capacity (max open)</th><th className="py-1">Weight</th></tr></thead>
+              <tbody>
+                {rules.evaluatorIds.map(id => {
+                  const cfg = rules.evaluatorSettings[id] || {};
+                  const setCfg = (patch) => setRules({ ...rules, evaluatorSettings: { ...rules.evaluatorSettings, [id]: { ...cfg, ...patch } } });
+                  return (
+                    <tr key={id} className="border-t">
+                      <td className="py-1">{labelOf(evaluators, id)}</td>
+                      <td className="py-1"><input type="number" min={0} className="border rounded-md p-1 w-28" placeholder="No cap" value={cfg.cap ?? ""} onChange={(e)=> setCfg({ cap: e.target.value === "" ? undefined : Math.max(0, Number(e.target.value)) })} /></td>
+                      <td className="py-1"><input type="number" min={0.1} step={0.1} className="border rounded-md p-1 w-24" value={cfg.weight ?? 1} onChange={(e)=> setCfg({ weight: Math.max(0.1, Number(e.target.value)) })} /></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          <label className="mt-3 inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={rules.preferOutsideTeam} onChange={(e)=> setRules({ ...rules, preferOutsideTeam: e.target.checked })} />
+            Prefer evaluators outside the agent's work team
+          </label>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium">Already evaluated with this form</label>
+          <select className="mt-1 w-full border rounded-md p-2" value={rules.existingEvalPolicy} onChange={(e)=> setRules({ ...rules, existingEvalPolicy: e.target.value })}>
+            <option value="exclude">Exclude from the pool</option>
+            <option value="flag">Keep, but flag in the plan</option>
+          </select>
+        </div>
+        {rules.mode === "byAgent" && (
+          <div className="md:col-span-2 flex items-end">
+            <label className="inline-flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={rules.skipAgentsAtQuota} onChange={(e)=> setRules({ ...rules, skipAgentsAtQuota: e.target.checked })} />
+              Skip agents who already have {rules.perAgentTarget} evaluation(s) on this form in the period
+            </label>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function describeWindow(criteria){
+  try { return resolveInterval(criteria).label; }
+  catch (e) { return e.message; }
+}
+
+function Review({ criteria, rules, preview, plan, lookups, canResample, onResample, onImport, importError }){
+  const names = (list, options, none = "(any)") => {
+    if (!list || !list.length) return none;
+    const shown = list.slice(0, 5).map(id => labelOf(options, id)).join(", ");
+    return list.length > 5 ? `${shown} +${list.length - 5} more` : shown;
+  };
+  const group = pruneGroup(criteria.group);
+  const stamp = new Date().toISOString().slice(0,19).replace(/[:T]/g, "-");
+  const seed = plan && plan.seed;
+  const interval = plan && plan.interval;
+  return (
+    <div className="bg-white rounded-2xl shadow p-6 space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm">
+        <div>
+          <h3 className="text-lg font-semibold mb-2">Criteria</h3>
+          <ul className="space-y-1">
+            <li><b>Dates:</b> {describeWindow(criteria)}</li>
+            {interval && <li><b>Interval:</b> <span className="font-mono text-xs">{interval}</span></li>}
+            <li><b>Media:</b> {criteria.mediaType}</li>
+            <li><b>Direction:</b> {criteria.direction}</li>
+            <li><b>Agent attribution:</b> {AGENT_ATTRIBUTION[criteria.agentAttribution] || criteria.agentAttribution}</li>
+            <li><b>Queues:</b> {names(criteria.queues, lookups.queues)}</li>
+            <li><b>Users:</b> {names(criteria.users, lookups.users)}</li>
+            <li><b>Work teams:</b> {names(criteria.workTeams, lookups.workTeams)}</li>
+            <li><b>Wrap-up codes:</b> {names(criteria.wrapUpCodes, lookups.wrapUps)}</li>
+            <li><b>Skills:</b> {names(criteria.skills, lookups.skills)}</li>
+            <li><b>Languages:</b> {names(criteria.languages, lookups.languages)}</li>
+            <li><b>Handle time:</b> {criteria.minDurationSec ?? "-"} to {criteria.maxDurationSec ?? "-"} sec</li>
+            {group && <li><b>And matching:</b> {describeGroup(group, lookups)}</li>}
+            {criteria.useAdvanced && (
+              <>
+                <li><b>Sentiment:</b> {criteria.useSentiment ? `${criteria.sentimentMin ?? ""} to ${criteria.sentimentMax ?? ""}` : "(off)"}</li>
+                <li><b>Topics:</b> include {names(criteria.includeTopics, lookups.topics, "-")}; exclude {names(criteria.excludeTopics, lookups.topics, "-")}</li>
+                <li><b>Categories:</b> include {names(criteria.includeCategories, lookups.categories, "-")}; exclude {names(criteria.excludeCategories, lookups.categories, "-")}</li>
+              </>
+            )}
+          </ul>
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold mb-2">Evaluation rules</h3>
+          <ul className="space-y-1">
+            <li><b>Sampling:</b> {SAMPLING_MODES[rules.mode] ? SAMPLING_MODES[rules.mode].describe(rules) : rules.mode}</li>
+            <li><b>Seed:</b> {seed || rules.seed || "(random)"}</li>
+            <li><b>Form:</b> {labelOf(lookups.forms, rules.evalFormId)}</li>
+            <li><b>Distribution:</b> Balanced on open workload{rules.preferOutsideTeam ? ", preferring evaluators outside the agent's team" : ""}</li>
+            <li><b>Evaluators:</b> {rules.evaluatorIds.map(id => labelOf(lookups.evaluators, id)).join(", ") || "(none)"}</li>
+          </ul>
+        </div>
+      </div>
+
+      <div className="pt-4 border-t space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h3 className="text-lg font-semibold">Evaluation plan</h3>
+          <div className="flex flex-wrap gap-2 text-sm">
+            <button disabled={!canResample} className="inline-flex items-center gap-1 border rounded px-3 py-2 disabled:opacity-60" onClick={onResample}><RefreshCw className="w-4 h-4"/> Re-sample</button>
+            <button disabled={!plan} className="inline-flex items-center gap-1 border rounded px-3 py-2 disabled:opacity-60" onClick={()=> downloadFile(`evaluation-plan-${stamp}.csv`, planToCsv(plan), "text/csv")}><Download className="w-4 h-4"/> CSV</button>
+            <button disabled={!plan} className="inline-flex items-center gap-1 border rounded px-3 py-2 disabled:opacity-60" onClick={()=> downloadFile(`evaluation-plan-${stamp}.json`, JSON.stringify(plan, null, 2), "application/json")}><Download className="w-4 h-4"/> JSON</button>
+            <label className="inline-flex items-center gap-1 border rounded px-3 py-2 cursor-pointer">
+              <Upload className="w-4 h-4"/> Import plan
+              <input type="file" accept=".json,.csv" className="hidden" onChange={(e)=> { const f = e.target.files[0]; e.target.value = ""; if (f) onImport(f); }} />
+            </label>
+          </div>
+        </div>
+        {importError && <div className="flex items-center gap-2 text-sm text-red-700"><AlertTriangle className="w-4 h-4"/> {importError}</div>}
+        {!plan ? (
+          <p className="text-sm text-gray-500">No plan yet.</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+              {plan.importedFrom && <div className="p-3 rounded-lg bg-amber-50 md:col-span-3">Imported from <b>{plan.importedFrom}</b>{plan.createdAt ? ` (created ${plan.createdAt}${plan.createdBy ? ` by ${plan.createdBy.name}` : ""})` : ""}</div>}
+              {plan.totalCandidates !== undefined && <div className="p-3 rounded-lg bg-gray-50"><b>Total candidates:</b> {plan.totalCandidates}</div>}
+              <div className="p-3 rounded-lg bg-gray-50"><b>Planned evaluations:</b> {plan.items.length}</div>
+              {preview && !plan.importedFrom && (
+                <>
+                  <div className="p-3 rounded-lg bg-gray-50"><b>Removed (already evaluated):</b> {preview.removedExisting}</div>
+                  {preview.flaggedExisting > 0 && <div className="p-3 rounded-lg bg-amber-50"><b>Flagged (already evaluated):</b> {preview.flaggedExisting}</div>}
+                  {rules.skipAgentsAtQuota && <div className="p-3 rounded-lg bg-gray-50"><b>Removed (agent at quota):</b> {preview.removedQuota} from {preview.agentsAtQuota.length} agent(s)</div>}
+                  {preview.skippedNoAgent > 0 && <div className="p-3 rounded-lg bg-gray-50"><b>Skipped (no agent):</b> {preview.skippedNoAgent}</div>}
+                  {(preview.pinned > 0 || preview.banned > 0) && <div className="p-3 rounded-lg bg-gray-50"><b>Pinned / banned:</b> {preview.pinned} / {preview.banned}</div>}
+                </>
+              )}
+            </div>
+            {plan.searchWarnings && plan.searchWarnings.length > 0 && (
+              <div className="text-sm text-amber-700 space-y-1">
+                <div className="flex items-center gap-2"><AlertTriangle className="w-4 h-4"/> Sampled from incomplete results ({plan.searchWarnings.length} limit{plan.searchWarnings.length > 1 ? "s" : ""} hit):</div>
+                <ul className="list-disc pl-6 text-xs">{plan.searchWarnings.map((w, i) => <li key={i}>{w}</li>)}</ul>
+              </div>
+            )}
+            {plan.unassigned && plan.unassigned.length > 0 && (
+              <div className="flex items-center gap-2 text-sm text-amber-700"><AlertTriangle className="w-4 h-4"/> {plan.unassigned.length} sampled conversation(s) could not be assigned: {plan.unassigned[0].reason}</div>
+            )}
+            {plan.distribution && (
+              <table className="w-full text-sm">
+                <thead><tr className="text-left text-xs text-gray-500"><th className="py-1">Evaluator</th><th className="py-1">Open now</th><th className="py-1">New</th><th className="py-1">Total</th><th className="py-1">Capacity</th><th className="py-1">Weight</th></tr></thead>
+                <tbody>
+                  {plan.distribution.map(d => (
+                    <tr key={d.evaluatorId} className="border-t">
+                      <td className="py-1">{labelOf(lookups.evaluators, d.evaluatorId)}</td>
+                      <td className="py-1">{d.open}</td>
+                      <td className="py-1 font-semibold">{d.assigned}</td>
+                      <td className="py-1">{d.open + d.assigned}</td>
+                      <td className="py-1">{d.cap ?? "—"}</td>
+                      <td className="py-1">{d.weight}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div className="max-h-96 overflow-auto border rounded">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr className="text-left"><th className="p-2">Conversation</th><th className="p-2">Agent</th><th className="p-2">Evaluator</th><th className="p-2">Form</th><th className="p-2">Matched criteria</th><th className="p-2">Sampling reason</th></tr>
+                </thead>
+                <tbody>
+                  {plan.items.map(it => (
+                    <tr key={hitKey(it)} className="border-t align-top">
+                      <td className="p-2 font-mono">{it.conversationId}</td>
+                      <td className="p-2">{it.agentName || labelOf(lookups.users, it.agentId)}</td>
+                      <td className="p-2">{it.evaluatorName || labelOf(lookups.evaluators, it.evaluatorId)}</td>
+                      <td className="p-2">{it.formName || labelOf(lookups.forms, it.formId)}</td>
+                      <td className="p-2">{it.matchedCriteria}</td>
+                      <td className="p-2">{it.samplingReason}{it.warning && <div className="text-amber-700">{it.warning}</div>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Execute({ journal, lookups, onPause, onResume, onCancel, onRetryFailed }){
+  if (!journal) return <div className="p-6 bg-white rounded-2xl shadow text-sm text-gray-500">Nothing has been executed yet.</div>;
+  const { status, items, message } = journal;
+  const counts = journalCounts(journal);
+  const settled = counts.created + counts.failed;
+  const pct = counts.total ? Math.round(100 * settled / counts.total) : 0;
+  const active = status === "running" || status === "paused";
+  return (
+    <div className="bg-white rounded-2xl shadow p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-3 text-sm">
+          {status === "running" && <Loader2 className="w-4 h-4 animate-spin"/>}
+          {status === "done" && <CheckCircle2 className="w-4 h-4 text-green-700"/>}
+          <span className="capitalize font-medium">{status}</span>
+          <span><b>{counts.created}</b> created, <b>{counts.failed}</b> failed, {counts.pending + counts.creating} remaining of {counts.total}</span>
+        </div>
+        <div className="flex gap-2 text-sm">
+          {status === "running" && <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={onPause}><Pause className="w-4 h-4"/> Pause</button>}
+          {(status === "paused" || status === "interrupted") && <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={onResume}><Play className="w-4 h-4"/> Resume</button>}
+          {(active || status === "interrupted") && <button className="inline-flex items-center gap-1 border rounded px-3 py-2 text-red-700" onClick={onCancel}><Square className="w-4 h-4"/> Cancel</button>}
+          {!active && counts.failed > 0 && <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={onRetryFailed}><RotateCcw className="w-4 h-4"/> Retry failed ({counts.failed})</button>}
+        </div>
+      </div>
+      <div className="w-full h-2 bg-gray-100 rounded">
+        <div className={`h-2 rounded ${counts.failed ? "bg-amber-500" : "bg-green-600"}`} style={{ width: `${pct}%` }} />
+      </div>
+      {message && <div className="flex items-center gap-2 text-sm text-amber-700"><AlertTriangle className="w-4 h-4"/> {message}</div>}
+      <div className="max-h-[32rem] overflow-auto border rounded">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-left"><th className="p-2">Conversation</th><th className="p-2">Agent</th><th className="p-2">Evaluator</th><th className="p-2">Status</th></tr>
+          </thead>
+          <tbody>
+            {items.map(r => (
+              <tr key={hitKey(r)} className="border-t align-top">
+                <td className="p-2 font-mono">{r.conversationId}</td>
+                <td className="p-2">{r.agentName || labelOf(lookups.users, r.agentId)}</td>
+                <td className="p-2">{r.evaluatorName || labelOf(lookups.evaluators, r.evaluatorId)}</td>
+                <td className={`p-2 ${r.status === "failed" ? "text-red-700" : r.status === "created" ? "text-green-700" : ""}`}>
+                  {r.status}{r.evaluationId ? ` (${r.evaluationId})` : ""}{r.attempts > 1 ? ` · ${r.attempts} attempts` : ""}
+                  {r.status === "failed" && r.error && <div className="whitespace-pre-wrap">{r.error}</div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function RunHistory({ runs, refresh, onRefresh, onDelete }){
+  const [openId, setOpenId] = useState(null);
+  const stamp = new Date().toISOString().slice(0,19).replace(/[:T]/g, "-");
+  if (!runs.length) return <div className="p-6 bg-white rounded-2xl shadow text-sm text-gray-500">No runs have been executed in this browser yet.</div>;
+  return (
+    <div className="bg-white rounded-2xl shadow p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span>{runs.length} run(s), newest first. Records are kept in this browser; export them for compliance reviews.</span>
+        <div className="flex gap-2">
+          <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={()=> downloadFile(`qm-runs-${stamp}.csv`, runsToCsv(runs), "text/csv")}><Download className="w-4 h-4"/> All CSV</button>
+          <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={()=> downloadFile(`qm-runs-${stamp}.json`, runsToJson(runs), "application/json")}><Download className="w-4 h-4"/> All JSON</button>
+        </div>
+      </div>
+      {refresh.error && <div className="flex items-center gap-2 text-sm text-red-700"><AlertTriangle className="w-4 h-4"/> Could not refresh statuses: {refresh.error}</div>}
+      <div className="overflow-auto border rounded">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-50">
+            <tr className="text-left">
+              <th className="p-2">Started</th><th className="p-2">Ran by</th><th className="p-2">Policy</th><th className="p-2">Status</th><th className="p-2">Seed</th><th className="p-2">Candidates</th><th className="p-2">Sampled</th><th className="p-2">Created</th><th className="p-2">Failed</th><th className="p-2">Evaluation states</th><th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(run => {
+              const states = countBy(run.evaluations, "state").map(([state, n]) => `${state === "unknown" ? "not checked" : state}: ${n}`).join(", ");
+              const busy = refresh.runId === run.id;
+              return (
+                <React.Fragment key={run.id}>
+                  <tr className="border-t cursor-pointer" onClick={()=> setOpenId(openId === run.id ? null : run.id)}>
+                    <td className="p-2">{run.startedAt}</td>
+                    <td className="p-2">{run.ranBy ? run.ranBy.name : "—"}</td>
+                    <td className="p-2">{run.policy ? run.policy.name : run.importedFrom ? `Imported ${run.importedFrom}` : "(ad hoc)"}</td>
+                    <td className="p-2 capitalize">{run.status}</td>
+                    <td className="p-2 font-mono">{run.seed || "—"}</td>
+                    <td className="p-2">{run.totalCandidates ?? "—"}</td>
+                    <td className="p-2">{run.sampledIds.length}</td>
+                    <td className="p-2">{run.evaluations.length}</td>
+                    <td className="p-2">{run.failures.length}</td>
+                    <td className="p-2">{states || "—"}{run.lastChecked && <div className="text-gray-500">checked {run.lastChecked}</div>}</td>
+                    <td className="p-2 whitespace-nowrap" onClick={(e)=> e.stopPropagation()}>
+                      <button disabled={!!refresh.runId || !run.evaluations.length} className="inline-flex items-center gap-1 border rounded px-2 py-1 mr-1 disabled:opacity-60" onClick={()=> onRefresh(run)}>
+                        {busy ? <Loader2 className="w-3 h-3 animate-spin"/> : <RefreshCw className="w-3 h-3"/>} Status
+                      </button>
+                      <button className="border rounded px-2 py-1 mr-1" onClick={()=> downloadFile(`${run.id}.csv`, runsToCsv([run]), "text/csv")}>CSV</button>
+                      <button className="border rounded px-2 py-1 mr-1" onClick={()=> downloadFile(`${run.id}.json`, runsToJson([run]), "application/json")}>JSON</button>
+                      <button className="hover:text-red-600 align-middle" onClick={()=> onDelete(run)}><Trash2 className="w-3 h-3"/></button>
+                    </td>
+                  </tr>
+                  {busy && refresh.progress && <tr><td colSpan={11} className="p-2 text-gray-500">{refresh.progress}</td></tr>}
+                  {openId === run.id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={11} className="p-3 space-y-2">
+                        {run.interval && <div><b>Interval:</b> <span className="font-mono">{run.interval}</span></div>}
+                        {run.rules && <div><b>Sampling:</b> {SAMPLING_MODES[run.rules.mode] ? SAMPLING_MODES[run.rules.mode].describe(run.rules) : run.rules.mode}</div>}
+                        {run.message && <div className="text-amber-700">{run.message}</div>}
+                        <table className="w-full">
+                          <thead>
+                            <tr className="text-left"><th className="p-1">Conversation</th><th className="p-1">Agent</th><th className="p-1">Evaluator</th><th className="p-1">Evaluation</th><th className="p-1">State</th><th className="p-1">Score</th><th className="p-1">Error</th></tr>
+                          </thead>
+                          <tbody>
+                            {run.evaluations.map(ev => (
+                              <tr key={ev.evaluationId} className="border-t">
+                                <td className="p-1 font-mono">{ev.conversationId}</td>
+                                <td className="p-1">{ev.agentName || ev.agentId}</td>
+                                <td className="p-1">{ev.evaluatorName || ev.evaluatorId}</td>
+                                <td className="p-1 font-mono">{ev.evaluationId}</td>
+                                <td className="p-1 capitalize">{ev.state || "not checked"}</td>
+                                <td className="p-1">{typeof ev.score === "number" ? ev.score : "—"}</td>
+                                <td className="p-1 text-red-700">{ev.statusError || ""}</td>
+                              </tr>
+                            ))}
+                            {run.failures.map(f => (
+                              <tr key={`f-${hitKey(f)}`} className="border-t text-red-700">
+                                <td className="p-1 font-mono">{f.conversationId}</td>
+                                <td className="p-1">{f.agentName || f.agentId}</td>
+                                <td className="p-1">{f.evaluatorName || f.evaluatorId}</td>
+                                <td className="p-1">—</td>
+                                <td className="p-1">failed</td>
+                                <td className="p-1">—</td>
+                                <td className="p-1">{f.error}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 // -------------------- App Shell --------------------
 function App(){
   const [step, setStep] = useState(1);
   const [me, setMe] = useState(null);
-  const [loadingLookups, setLoadingLookups] = useState(false);
-  const [lookups, setLookups] = useState({ users:[], queues:[], skills:[], languages:[], workTeams:[], wrapUps:[], topics:[], categories:[] });
-
-  const [criteria, setCriteria] = useState({
-    dateFrom: new Date(Date.now() - 7*24*3600*1000).toISOString().slice(0,10),
-    dateTo: new Date().toISOString().slice(0,10),
-    mediaType: "voice",
-    direction: "both",
-    queues: [],
-    users: [],
-    workTeams: [],
-    wrapUpCodes: [],
-    skills: [],
-    languages: [],
-    minDurationSec: undefined,
-    maxDurationSec: undefined,
-    // Advanced
-    useAdvanced: false,
-    useSentiment: false,
-    sentimentMin: undefined,
-    sentimentMax: undefined,
-    useTopics: false,
-    includeTopics: [],
-    excludeTopics: [],
-    useCategories: false,
-    includeCategories: [],
-    excludeCategories: [],
+  const [lookupStatus, setLookupStatus] = useState({});
+  const [lookups, setLookups] = useState(emptyLookups);
+
+  const [criteria, setCriteria] = useState(defaultCriteria);
+
+  const [policies, setPolicies] = useState(loadPolicies);
+  const [activePolicyId, setActivePolicyId] = useState(null);
+  const activePolicy = policies.find(p => p.id === activePolicyId) || null;
+  const [activeSlice, setActiveSlice] = useState(null);
+
+  const [search, setSearch] = useState({ status: "idle", progress: "", error: "", hits: [], counts: {} });
+  const [rules, setRules] = useState(defaultRules);
+  const [existing, setExisting] = useState(null);
+  const [workload, setWorkload] = useState(null);
+  const [guard, setGuard] = useState({ status: "idle", progress: "", error: "" });
+  const [preview, setPreview] = useState(null);
+  const [overrides, setOverrides] = useState({ pinned: [], banned: [] });
+  const [runs, setRuns] = useState(loadRuns);
+  const [runRefresh, setRunRefresh] = useState({ runId: null, progress: "", error: "" });
+  const [plan, setPlan] = useState(null);
+  const [importError, setImportError] = useState("");
+  const [dryRun, setDryRun] = useState(true);
+  // A journal still marked running/paused on load belongs to a page that was closed mid-run
+  const [journal, setJournal] = useState(() => {
+    const j = loadJournal();
+    if (j && (j.status === "running" || j.status === "paused")) {
+      Object.assign(j, { status: "interrupted", message: "The page was closed while this run was in progress." });
+      saveJournal(j);
+    }
+    return j;
   });
+  const runControl = useRef({ paused: false, cancelled: false });
+  const searchControl = useRef({ cancelled: false });
 
-  async function loadLookups(){
-    setLoadingLookups(true);
+  // A scheduled slice overrides the criteria's dates for the search only, so saving the policy keeps its own
+  async function runSearch(c = criteria, slice = activeSlice && activeSlice.slice){
+    const searched = slice ? { ...c, dateMode: "iso", isoInterval: slice.interval } : c;
+    // A new search replaces one still running; only the latest updates the state
+    searchControl.current.cancelled = true;
+    const control = { cancelled: false };
+    searchControl.current = control;
+    setSearch({ status: "running", progress: "", error: "", hits: [], counts: {} });
+    setExisting(null);
     try {
-      const [users, queues, skills, languages, workTeams, wrapUps, topics, categories] = await Promise.all([
-        fetchUsers(), fetchQueues(), fetchSkills(), fetchLanguages(), fetchWorkTeams(), fetchWrapUpCodes(), fetchTopics(), fetchCategories()
-      ]);
-      setLookups({ users, queues, skills, languages, workTeams, wrapUps, topics, categories });
+      const { hits, counts, dateWindow, warnings } = await analyticsSearch(searched, (progress) => { if (!control.cancelled) setSearch(s => ({ ...s, progress })); }, control);
+      if (searchControl.current !== control) return;
+      // The plan and its audit record describe the criteria searched, not whatever the editor holds later
+      setSearch({ status: "done", progress: "", error: "", hits, counts, dateWindow, warnings, criteria: searched });
     } catch (e) {
-      console.warn("Lookup load failed:", e);
-      setLookups({ users:[], queues:[], skills:[], languages:[], workTeams:[], wrapUps:[], topics:[], categories:[] });
-    } finally { setLoadingLookups(false); }
+      if (searchControl.current !== control) return;
+      if (e && e.cancelled) { setSearch({ status: "cancelled", progress: "", error: "", hits: [], counts: {} }); return; }
+      console.warn("Search failed:", e);
+      setSearch({ status: "error", progress: "", error: String(e && e.message ? e.message : e), hits: [], counts: {} });
+    }
   }
 
-  useEffect(() => {
-    // If token & region are already present (e.g., returning from OAuth), auto-fetch /me and go to step 2
-    if (GC_TOKEN && GC_REGION && !me) {
-      (async () => {
-        try {
-          const profile = await apiFetch('/api/v2/users/me');
-          setMe(profile);
-          setStep(2);
-          loadLookups();
-        } catch (e) {
-          console.warn('Existing token invalid:', e);
+  function cancelSearch(){
+    searchControl.current.cancelled = true;
+    setSearch(s => ({ ...s, progress: "Cancelling…" }));
+  }
+
+  function resample(ex = existing, hits = search.hits, wl = workload, warnings = search.warnings){
+    const next = samplePool(hits, rules, ex, overrides);
+    setPreview(next);
+    setPlan(buildPlan({ preview: next, rules, criteria: search.criteria, lookups, me, workload: wl, dateWindow: search.dateWindow, overrides, searchWarnings: warnings }));
+    setImportError("");
+  }
+
+  // Existing evaluations are fetched once per search + form; workload is refreshed on every sample
+  async function sampleFromSearch(){
+    setGuard({ status: "running", progress: "Checking existing evaluations…", error: "" });
+    try {
+      const prepared = await prepareSample({
+        hits: search.hits,
+        dateWindow: search.dateWindow,
+        rules,
+        forms: lookups.forms,
+        workTeamIds: lookups.workTeams.map(t => t.id),
+        existing,
+        onProgress: (progress) => setGuard(g => ({ ...g, progress }))
+      });
+      setExisting(prepared.existing);
+      if (prepared.hits !== search.hits) setSearch(s => ({ ...s, hits: prepared.hits }));
+      setWorkload(prepared.workload);
+      resample(prepared.existing, prepared.hits, prepared.workload, [...(search.warnings || []), ...prepared.warnings]);
+      setGuard({ status: "idle", progress: "", error: "" });
+      setStep(5);
+    } catch (e) {
+      console.warn("Preparing the sample failed:", e);
+      setGuard({ status: "error", progress: "", error: String(e && e.message ? e.message : e) });
+    }
+  }
+
+  async function importPlan(file){
+    try {
+      const imported = planFromFile(file.name, await file.text());
+      setPlan({ ...imported, importedFrom: file.name });
+      setPreview(null);
+      setImportError("");
+    } catch (e) {
+      setImportError(String(e && e.message ? e.message : e));
+    }
+  }
+
+  async function runExecution(j){
+    runControl.current = { paused: false, cancelled: false };
+    setStep(6);
+    try {
+      await runJournal(j, runControl.current, setJournal);
+    } catch (e) {
+      console.warn("Execution stopped:", e);
+      j.status = "interrupted";
+      j.message = String(e && e.message ? e.message : e);
+      saveJournal(j);
+      setJournal({ ...j });
+    }
+  }
+
+  async function execute(){
+    let run = plan;
+    // An imported plan may be old or already run; only a plan sampled here was checked against existing evaluations
+    if (plan.importedFrom) {
+      setGuard({ status: "running", progress: "Checking existing evaluations…", error: "" });
+      try {
+        const { plan: checked, skipped } = await dropEvaluatedItems(plan, lookups.forms, (progress) => setGuard(g => ({ ...g, progress })));
+        setGuard({ status: "idle", progress: "", error: "" });
+        if (skipped.length) {
+          setPlan(checked);
+          if (!checked.items.length) { alert(`Every item in ${plan.importedFrom} already has an evaluation on its form; nothing to create.`); return; }
+          if (!confirm(`${skipped.length} item(s) in ${plan.importedFrom} already have an evaluation on their form and will be skipped. Create the other ${checked.items.length}?`)) return;
         }
-      })();
+        run = checked;
+      } catch (e) {
+        console.warn("Checking existing evaluations failed:", e);
+        setGuard({ status: "error", progress: "", error: String(e && e.message ? e.message : e) });
+        return;
+      }
+    }
+    // An imported plan or edited dates no longer match the scheduled slice
+    const slice = activeSlice && !run.importedFrom && run.interval === activeSlice.slice.interval ? activeSlice : {};
+    runExecution(newJournal(run, { ...slice, audit: auditSnapshot(run, me, activePolicy) }));
+  }
+
+  function resumeExecution(){
+    if (journal.status === "paused" && runControl.current && !runControl.current.cancelled) { runControl.current.paused = false; return; }
+    runExecution(loadJournal() || journal);
+  }
+
+  function retryFailed(){
+    const j = loadJournal() || journal;
+    j.items.forEach(it => { if (it.status === "failed") it.status = "pending"; });
+    runExecution(j);
+  }
+
+  function cancelExecution(){
+    if (!confirm("Cancel this run? Items already created are kept.")) return;
+    runControl.current.cancelled = true;
+    runControl.current.paused = false;
+    if (journal.status === "interrupted") {
+      const j = { ...journal, status: "cancelled", message: "Cancelled; remaining items were not created." };
+      saveJournal(j);
+      setJournal(j);
+    }
+  }
+
+  const rulesValid = rulesAreValid(rules);
+  const sampledIds = useMemo(() => (preview ? new Set(preview.sampled.map(hitKey)) : null), [preview]);
+  const intervalError = useMemo(() => {
+    try { resolveInterval(criteria); return ""; }
+    catch (e) { return e.message; }
+  }, [criteria]);
+
+  const policyLibrary = (
+    <PolicyLibrary
+      policies={policies}
+      activePolicy={activePolicy}
+      lookups={lookups}
+      lookupStatus={lookupStatus}
+      onLoad={loadPolicy}
+      onSave={savePolicy}
+      onSaveAs={savePolicyAs}
+      onDuplicate={duplicatePolicy}
+      onDelete={deletePolicy}
+      onImport={importPolicies}
+    />
+  );
+
+  function updatePolicies(next){
+    savePolicies(next);
+    setPolicies(next);
+  }
+
+  function loadPolicy(p){
+    const { criteria: c, rules: r } = hydratePolicy(p);
+    setCriteria(c);
+    setRules(r);
+    setActivePolicyId(p.id);
+    setActiveSlice(null);
+  }
+
+  // Loads the policy and searches its next due slice in place of the policy's dates
+  function runDueSlice(p){
+    const slice = dueSlices(p)[0];
+    if (!slice) return;
+    const { criteria: c, rules: r } = hydratePolicy(p);
+    setCriteria(c);
+    setRules(r);
+    setActivePolicyId(p.id);
+    setActiveSlice({ policyId: p.id, slice });
+    setStep(3);
+    runSearch(c, slice);
+  }
+
+  function setPolicySchedule(p, cadence){
+    updatePolicies(policies.map(x => (x.id === p.id ? { ...x, schedule: cadence ? { cadence } : null } : x)));
+  }
+
+  function savePolicy(){
+    const updated = makePolicy({ ...activePolicy, criteria, rules, lookups });
+    updatePolicies(policies.map(p => (p.id === updated.id ? updated : p)));
+  }
+
+  function savePolicyAs(name){
+    const created = makePolicy({ name, criteria, rules, lookups, schedule: activePolicy && activePolicy.schedule });
+    updatePolicies([...policies, created]);
+    setActivePolicyId(created.id);
+  }
+
+  function duplicatePolicy(p){
+    updatePolicies([...policies, makePolicy({ ...p, id: undefined, createdAt: undefined, lastRun: undefined, name: `${p.name} (copy)`, lookups })]);
+  }
+
+  function deletePolicy(p){
+    updatePolicies(policies.filter(x => x.id !== p.id));
+    if (activePolicyId === p.id) setActivePolicyId(null);
+  }
+
+  // Imported policies get new ids so they never overwrite local ones
+  function importPolicies(list){
+    const imported = list.map(p => ({ ...hydratePolicy(p), id: newPolicyId(), importedAt: new Date().toISOString() }));
+    updatePolicies([...policies, ...imported]);
+  }
+
+  // A run that has stopped (for whatever reason) is written to the run history
+  useEffect(() => {
+    if (journal && journal.status !== "running" && journal.status !== "paused") setRuns(recordRun(journal));
+  }, [journal && journal.status, journal && journal.sliceRecorded]);
+
+  async function refreshRun(run){
+    setRunRefresh({ runId: run.id, progress: "", error: "" });
+    try {
+      const updated = await refreshRunStatuses(run, (progress) => setRunRefresh(r => ({ ...r, progress })));
+      const next = loadRuns().map(r => (r.id === updated.id ? updated : r));
+      saveRuns(next);
+      setRuns(next);
+      setRunRefresh({ runId: null, progress: "", error: "" });
+    } catch (e) {
+      console.warn("Refreshing evaluation status failed:", e);
+      setRunRefresh({ runId: null, progress: "", error: String(e && e.message ? e.message : e) });
     }
+  }
+
+  function deleteRun(run){
+    if (!confirm(`Delete the audit record for the run started ${run.startedAt}? Export it first if it is needed for compliance.`)) return;
+    const next = loadRuns().filter(r => r.id !== run.id);
+    saveRuns(next);
+    setRuns(next);
+  }
+
+  // A scheduled slice whose search found nothing has nothing to create; recording it keeps later slices from being blocked
+  function completeEmptySlice(){
+    const policy = policies.find(p => p.id === activeSlice.policyId);
+    const updated = policy && completeSlice(policy, { status: "done", slice: activeSlice.slice, items: [], finishedAt: new Date().toISOString() });
+    if (updated !== policy) updatePolicies(policies.map(p => (p.id === policy.id ? updated : p)));
+    setActiveSlice(null);
+    setStep(2);
+  }
+
+  // A finished scheduled run moves its policy on to the next slice once every evaluation is created;
+  // after failures the slice stays due until "Retry failed" completes it
+  useEffect(() => {
+    if (!journal || journal.status !== "done" || !journal.slice || journal.sliceRecorded) return;
+    const policy = policies.find(p => p.id === journal.policyId);
+    const updated = policy && completeSlice(policy, journal);
+    if (updated === policy) return;
+    updatePolicies(policies.map(p => (p.id === policy.id ? updated : p)));
+    const j = { ...journal, sliceRecorded: true };
+    saveJournal(j);
+    setJournal(j);
+  }, [journal]);
+
+  // Each list loads on its own so one failure leaves the others usable
+  async function loadLookups(force = false, profile = me){
+    const scope = lookupScope(profile);
+    await Promise.all(Object.keys(LOOKUP_SOURCES).map(async name => {
+      setLookupStatus(s => ({ ...s, [name]: { ...s[name], status: "loading", error: "" } }));
+      try {
+        const entry = await loadLookup(name, scope, force);
+        setLookups(l => ({ ...l, [name]: entry.items }));
+        setLookupStatus(s => ({ ...s, [name]: { status: "ready", error: "", truncated: entry.truncated, savedAt: entry.savedAt, fromCache: entry.fromCache } }));
+      } catch (e) {
+        console.warn(`Lookup ${name} failed:`, e);
+        setLookupStatus(s => ({ ...s, [name]: { ...s[name], status: "error", error: String(e && e.message ? e.message : e) } }));
+      }
+    }));
+  }
+
+  // Server matches are kept so their labels resolve elsewhere in the app
+  function lookupSearch(name, search){
+    return async (text) => {
+      const found = await search(text);
+      setLookups(l => ({ ...l, [name]: mergeOptions(l[name], found) }));
+      return found;
+    };
+  }
+
+
+  const [loginError, setLoginError] = useState("");
+  const [tokenExpiresAt, setTokenExpiresAt] = useState(GC_TOKEN_EXPIRES);
+  const [now, setNow] = useState(Date.now());
+  const [renewing, setRenewing] = useState(false);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
   }, []);
 
+  async function startSession(){
+    const profile = await apiFetch('/api/v2/users/me');
+    setMe(profile);
+    setTokenExpiresAt(GC_TOKEN_EXPIRES);
+    setStep(2);
+    loadLookups(false, profile);
+  }
+
+  // Finish a sign-in redirect if there is one, else reuse a stored, unexpired token
+  useEffect(() => {
+    (async () => {
+      const response = readAuthResponse(location.search, location.hash);
+      try {
+        if (response) {
+          stripAuthResponse();
+          await completeLogin(response);
+        }
+        if (GC_TOKEN && GC_REGION && !tokenExpired()) await startSession();
+      } catch (e) {
+        console.warn('Sign-in failed:', e);
+        setLoginError(String(e && e.message ? e.message : e));
+      }
+    })();
+  }, []);
+
+  async function renewSession(){
+    setRenewing(true);
+    try {
+      await renewInPopup();
+      setTokenExpiresAt(GC_TOKEN_EXPIRES);
+      setNow(Date.now());
+      if (!me) await startSession();
+    } catch (e) {
+      alert(`Could not renew the session: ${e.message}`);
+    } finally { setRenewing(false); }
+  }
+
+  async function handleSignOut(){
+    if (journal && journal.status === "running" && !confirm("A run is in progress. Sign out anyway? It can be resumed after signing in again.")) return;
+    runControl.current.paused = true;
+    await signOut(me);
+    setMe(null);
+    setTokenExpiresAt(0);
+    setStep(1);
+  }
+
   return (
     <div className="max-w-6xl mx-auto p-6">
-      <Stepper step={step} setStep={(n)=> setStep(n)} />
+      <div className="flex items-start justify-between">
+        <Stepper step={step} setStep={(n)=> setStep(n)} />
+        {me && (
+          <div className="flex items-center gap-3 text-sm">
+            <span className="text-gray-600">{me.name}</span>
+            <button className={`inline-flex items-center gap-1 border rounded px-3 py-1 ${step === 7 ? "bg-black text-white" : ""}`} onClick={()=> setStep(7)}><History className="w-4 h-4"/> Run history</button>
+            <button className="inline-flex items-center gap-1 border rounded px-3 py-1" onClick={handleSignOut}><LogOut className="w-4 h-4"/> Sign out</button>
+          </div>
+        )}
+      </div>
+
+      {me && <SessionBanner expiresAt={tokenExpiresAt} now={now} onRenew={renewSession} renewing={renewing} />}
+
+      {me && step !== 6 && journal && journal.status === "interrupted" && isResumable(journal) && (
+        <div className="mb-4 p-3 rounded-lg bg-amber-50 flex items-center justify-between text-sm">
+          <span className="flex items-center gap-2"><AlertTriangle className="w-4 h-4"/> An unfinished run from {journal.startedAt} has {journalCounts(journal).created} of {journal.items.length} evaluations created.</span>
+          <button className="inline-flex items-center gap-1 border rounded px-3 py-1 bg-white" onClick={()=> setStep(6)}>Open run <ChevronRight className="w-4 h-4"/></button>
+        </div>
+      )}
 
       {step === 1 && (
-        <SplashLogin onLogin={({ me })=>{ setMe(me); setStep(2); loadLookups(); }} />
+        <SplashLogin error={loginError} />
       )}
 
       {step === 2 && (
@@ -454,21 +1817,163 @@ function App(){
           <div className="flex items-center gap-2">
             <h2 className="text-xl font-semibold">Build your criteria</h2>
           </div>
-          {loadingLookups ? (
-            <div className="p-6 bg-white rounded-2xl shadow flex items-center gap-3 text-sm"><Loader2 className="w-4 h-4 animate-spin"/> Loading lists…</div>
-          ) : (
-            <Criteria criteria={criteria} setCriteria={setCriteria} lookups={lookups} />
-          )}
+          <LookupStatus status={lookupStatus} onRefresh={()=> loadLookups(true)} />
+          {policyLibrary}
+          {policies.length > 0 && <DueRuns policies={policies} activeSlice={activeSlice} onSchedule={setPolicySchedule} onRun={runDueSlice} onClearSlice={()=> setActiveSlice(null)} />}
+          <Criteria criteria={criteria} setCriteria={setCriteria} lookups={lookups} lookupStatus={lookupStatus} onSearchUsers={lookupSearch("users", searchUsers)} onSearchQueues={lookupSearch("queues", searchQueues)} />
 
           <div className="flex justify-between">
             <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={()=> setStep(1)}><ChevronLeft className="w-4 h-4"/> Back</button>
-            <button className="inline-flex items-center gap-1 border rounded px-3 py-2 opacity-60 cursor-not-allowed" title="Next steps coming in Stage 2">Next <ChevronRight className="w-4 h-4"/></button>
+            <button
+              disabled={!!intervalError}
+              className="inline-flex items-center gap-1 border rounded px-3 py-2 disabled:opacity-60"
+              onClick={()=> { setStep(3); runSearch(); }}
+            >Search <ChevronRight className="w-4 h-4"/></button>
+          </div>
+        </div>
+      )}
+
+      {step === 3 && (
+        <div className="space-y-4">
+          <h2 className="text-xl font-semibold">Matching conversations</h2>
+          <SearchResults
+            search={search}
+            lookups={lookups}
+            onRun={()=> runSearch()}
+            onCancel={cancelSearch}
+            overrides={overrides}
+            setOverrides={setOverrides}
+            sampledIds={sampledIds}
+            canResample={!!preview && rulesValid && guard.status !== "running"}
+            onResample={sampleFromSearch}
+          />
+          {guard.status === "running" && <div className="flex items-center gap-2 text-sm"><Loader2 className="w-4 h-4 animate-spin"/> {guard.progress}</div>}
+          {activeSlice && search.status === "done" && search.hits.length === 0 && search.dateWindow && search.dateWindow.interval === activeSlice.slice.interval && (
+            <div className="flex items-center justify-between gap-2 p-3 rounded-lg bg-gray-50 text-sm">
+              <span>No candidates in scheduled slice <span className="font-mono">{activeSlice.slice.interval}</span>.</span>
+              <button className="border rounded px-3 py-1" onClick={completeEmptySlice}>Mark slice done (no candidates)</button>
+            </div>
+          )}
+          <div className="flex justify-between">
+            <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={()=> setStep(2)}><ChevronLeft className="w-4 h-4"/> Back</button>
+            <button
+              disabled={search.status !== "done" || search.hits.length === 0}
+              className="inline-flex items-center gap-1 border rounded px-3 py-2 disabled:opacity-60"
+              onClick={()=> setStep(4)}
+            >Next <ChevronRight className="w-4 h-4"/></button>
+          </div>
+        </div>
+      )}
+
+      {step === 4 && (
+        <div className="space-y-4">
+          <h2 className="text-xl font-semibold">Evaluation rules</h2>
+          {policyLibrary}
+          <EvalRules rules={rules} setRules={setRules} forms={lookups.forms} evaluators={lookups.evaluators} lookupStatus={lookupStatus} />
+          {guard.status === "running" && <div className="flex items-center gap-2 text-sm"><Loader2 className="w-4 h-4 animate-spin"/> {guard.progress}</div>}
+          {guard.status === "error" && <div className="flex items-center gap-2 text-sm text-red-700"><AlertTriangle className="w-4 h-4"/> Could not prepare the sample: {guard.error}</div>}
+          <div className="flex justify-between">
+            <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={()=> setStep(3)}><ChevronLeft className="w-4 h-4"/> Back</button>
+            <button
+              disabled={!rulesValid || search.status !== "done" || guard.status === "running"}
+              className="inline-flex items-center gap-1 border rounded px-3 py-2 disabled:opacity-60"
+              onClick={sampleFromSearch}
+            >Next <ChevronRight className="w-4 h-4"/></button>
           </div>
         </div>
       )}
+
+      {step === 5 && (
+        <div className="space-y-4">
+          <h2 className="text-xl font-semibold">Review</h2>
+          <Review
+            criteria={(plan && plan.criteria) || criteria}
+            rules={(plan && plan.rules) || rules}
+            preview={preview}
+            plan={plan}
+            lookups={lookups}
+            canResample={search.status === "done" && rulesValid && guard.status !== "running"}
+            onResample={sampleFromSearch}
+            onImport={importPlan}
+            importError={importError}
+          />
+          {guard.status === "running" && <div className="flex items-center gap-2 text-sm"><Loader2 className="w-4 h-4 animate-spin"/> {guard.progress}</div>}
+          {guard.status === "error" && <div className="flex items-center gap-2 text-sm text-red-700"><AlertTriangle className="w-4 h-4"/> Could not check existing evaluations: {guard.error}</div>}
+          <div className="flex justify-between items-center">
+            <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={()=> setStep(4)}><ChevronLeft className="w-4 h-4"/> Back</button>
+            <div className="flex items-center gap-4">
+              <label className="inline-flex items-center gap-2 text-sm" title="Dry run builds and exports the plan without calling any write endpoint">
+                <input type="checkbox" checked={dryRun} onChange={(e)=> setDryRun(e.target.checked)} />
+                Dry run (plan only)
+              </label>
+              <button
+                disabled={dryRun || !plan || plan.items.length === 0 || guard.status === "running" || (journal && (journal.status === "running" || journal.status === "paused"))}
+                className="inline-flex items-center gap-1 bg-black text-white rounded px-3 py-2 disabled:opacity-60"
+                onClick={()=> {
+                  if (!confirm(`Create ${plan.items.length} evaluations?`)) return;
+                  if (isResumable(journal) && !confirm("This replaces the unfinished run in the journal. Continue?")) return;
+                  execute();
+                }}
+              ><Play className="w-4 h-4"/> Create evaluations</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {step === 6 && (
+        <div className="space-y-4">
+          <h2 className="text-xl font-semibold">Execute</h2>
+          <Execute
+            journal={journal}
+            lookups={lookups}
+            onPause={()=> { runControl.current.paused = true; }}
+            onResume={resumeExecution}
+            onCancel={cancelExecution}
+            onRetryFailed={retryFailed}
+          />
+          <div className="flex justify-between">
+            <button disabled={journal && journal.status === "running"} className="inline-flex items-center gap-1 border rounded px-3 py-2 disabled:opacity-60" onClick={()=> setStep(5)}><ChevronLeft className="w-4 h-4"/> Back</button>
+            <button className="inline-flex items-center gap-1 border rounded px-3 py-2" onClick={()=> setStep(7)}><History className="w-4 h-4"/> Run history</button>
+          </div>
+        </div>
+      )}
+
+      {step === 7 && (
+        <div className="space-y-4">
+          <h2 className="text-xl font-semibold">Run history</h2>
+          <RunHistory runs={runs} refresh={runRefresh} onRefresh={refreshRun} onDelete={deleteRun} />
+        </div>
+      )}
     </div>
   );
 }
 
-const root = createRoot(document.getElementById("root"));
-root.render(<App />);
+// -------------------- Offline mock mode --------------------
+/*
+ * ?mock (or ?mock=<seed>) runs the app against the in-memory org from
+ * mock-gc.mjs instead of a real region, signed in as its QA lead. The mock
+ * is loaded on demand so normal sessions never fetch it.
+ */
+const MOCK_REGION = "mock.local";
+
+async function enableMockMode(){
+  const seed = new URLSearchParams(location.search).get("mock");
+  if (seed === null) {
+    // Leaving mock mode: drop its stand-in session rather than send it to a real region
+    if (GC_REGION === MOCK_REGION) { setToken(""); setRegion(""); }
+    return;
+  }
+  const { createMockOrg, createMockTransport } = await import("./mock-gc.mjs");
+  setTransport(createMockTransport(createMockOrg({ seed: seed || "demo" }), { jobPolls: 1 }));
+  setRegion(MOCK_REGION);
+  setToken("mock-token");
+  setTokenExpiry(0);
+}
+
+// A renewal popup only hands its response back to the opener
+if (!forwardAuthToOpener()) {
+  enableMockMode().then(() => {
+    const root = createRoot(document.getElementById("root"));
+    root.render(<App />);
+  });
+}
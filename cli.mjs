@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/*********************
+ * Headless policy runner for schedulers (cron, CI, task scheduler).
+ *
+ *   node cli.mjs <policies.json> [--policy <id|name>] [--interval <start/end>]
+ *                [--seed <seed>] [--dry-run] [--report <path prefix>] [--mock]
+ *
+ * Runs one saved policy (a policy file exported from the app) with an OAuth
+ * client-credentials grant: GC_CLIENT_ID, GC_CLIENT_SECRET and GC_REGION
+ * (e.g. mypurecloud.ie) come from the environment. Without --interval a
+ * scheduled policy runs its oldest due slice and, once every evaluation is
+ * created, the policy file is updated so the next run starts after it; an
+ * unscheduled policy uses its own date settings.
+ *
+ * Writes <prefix>.json and <prefix>.csv. With --dry-run nothing is created
+ * and the CSV is the evaluation plan (importable in the app's Review step);
+ * otherwise it is the run's audit record, as exported from Run history.
+ *
+ * Exit codes: 0 done (or nothing due), 1 error, 2 run finished with failed
+ * or uncreated evaluations, 3 done but the search or the existing-evaluation
+ * and team lookups hit a limit, so the sample came from incomplete results
+ * (the warnings are in the report).
+ *********************/
+import { readFile, writeFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import {
+  GC_REGION, setRegion, setToken, setTokenExpiry, setTransport, LOOKUP_SOURCES, emptyLookups, dueSlices, completeSlice,
+  parsePolicyFile, planPolicyRun, planToCsv, newJournal, runJournal, journalCounts, auditSnapshot, recordRun, runsToCsv
+} from "./core.mjs";
+
+const REPORT_TYPE = "qm-cli-report";
+const REPORT_VERSION = 1;
+const USAGE = "Usage: node cli.mjs <policies.json> [--policy <id|name>] [--interval <start/end>] [--seed <seed>] [--dry-run] [--report <path prefix>] [--mock]";
+
+// Lists the plan needs for names and form versions; topics and categories are only labels in the UI
+const PLAN_LOOKUPS = ["users", "queues", "skills", "languages", "workTeams", "wrapUps", "forms", "evaluators"];
+
+function log(message){ console.error(`[${new Date().toISOString()}] ${message}`); }
+
+// -------------------- Auth --------------------
+async function clientCredentialsLogin({ clientId, clientSecret, region }){
+  if (!clientId || !clientSecret || !region) throw new Error("Set GC_CLIENT_ID, GC_CLIENT_SECRET and GC_REGION (or use --mock)");
+  const res = await fetch(`https://login.${region}/oauth/token`, {
+    method: "POST",
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString("base64")}`,
+      "Content-Type": "application/x-www-form-urlencoded"
+    },
+    body: new URLSearchParams({ grant_type: "client_credentials" })
+  });
+  if (!res.ok) throw new Error(`Client credentials login failed: ${res.status} ${res.statusText} ${await res.text().catch(()=>"")}`);
+  const data = await res.json();
+  setRegion(region);
+  setToken(data.access_token);
+  setTokenExpiry(Number(data.expires_in) || 0);
+  // A client-credentials token has no user behind it; the audit record names the OAuth client
+  return { id: `oauth-client:${clientId}`, name: `OAuth client ${clientId}` };
+}
+
+// --mock runs against the in-memory org from mock-gc.mjs (the app's ?mock org), or the transport a test passes in
+async function mockLogin(transport){
+  if (!transport) {
+    const { createMockOrg, createMockTransport } = await import("./mock-gc.mjs");
+    transport = createMockTransport(createMockOrg({ seed: "demo" }));
+  }
+  setTransport(transport);
+  setRegion("mock.local");
+  setToken("mock-token");
+  setTokenExpiry(0);
+  return { id: "oauth-client:mock", name: "OAuth client mock" };
+}
+
+// -------------------- Policy file --------------------
+async function readPolicies(file){
+  const text = await readFile(file, "utf8");
+  return { text, policies: parsePolicyFile(text) };
+}
+
+function pickPolicy(policies, wanted){
+  if (!wanted) {
+    if (policies.length === 1) return policies[0];
+    throw new Error(`The file holds ${policies.length} policies; choose one with --policy (${policies.map(p => p.name).join(", ")})`);
+  }
+  const found = policies.find(p => p.id === wanted) || policies.filter(p => p.name === wanted);
+  if (!Array.isArray(found)) return found;
+  if (found.length === 1) return found[0];
+  throw new Error(found.length ? `Several policies are named "${wanted}"; use its id` : `No policy "${wanted}" in the file`);
+}
+
+// Writes the policy's new lastRun back into the export file, keeping its other policies as they are
+async function savePolicy(file, text, policy){
+  const parsed = JSON.parse(text);
+  parsed.policies = parsed.policies.map(p => (p.id === policy.id ? policy : p));
+  await writeFile(file, JSON.stringify(parsed, null, 2));
+}
+
+// -------------------- Run --------------------
+async function loadPlanLookups(){
+  const lookups = emptyLookups();
+  await Promise.all(PLAN_LOOKUPS.map(async name => {
+    try {
+      lookups[name] = await LOOKUP_SOURCES[name].fetch();
+      if (lookups[name].truncated) log(`Warning: ${LOOKUP_SOURCES[name].label} list is truncated; some names will show as ids`);
+    } catch (e) {
+      log(`Warning: could not load ${LOOKUP_SOURCES[name].label.toLowerCase()} (${String(e && e.message ? e.message : e)}); ids are used instead of names`);
+    }
+  }));
+  return lookups;
+}
+
+// Returns the exit code. `mockTransport` stands in for the --mock org, so tests can inject failures
+export async function main(argv = process.argv.slice(2), { mockTransport } = {}){
+  const { values: flags, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      policy: { type: "string" },
+      interval: { type: "string" },
+      seed: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      report: { type: "string" },
+      mock: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  if (flags.help || positionals.length !== 1) {
+    console.error(USAGE);
+    return flags.help ? 0 : 1;
+  }
+  if (flags.interval && !/^[^/]+\/[^/]+$/.test(flags.interval)) throw new Error(`--interval must be an ISO-8601 interval "start/end", got "${flags.interval}"`);
+
+  const file = positionals[0];
+  const { text, policies } = await readPolicies(file);
+  const policy = pickPolicy(policies, flags.policy);
+
+  let slice = null;
+  let interval = flags.interval;
+  if (!interval && policy.schedule && policy.schedule.cadence) {
+    const due = dueSlices(policy);
+    if (!due.length) { log(`Policy "${policy.name}": no slice is due`); return 0; }
+    slice = due[0];
+    interval = slice.interval;
+    if (due.length > 1) log(`Policy "${policy.name}": ${due.length} slices are due; running the oldest`);
+  }
+
+  const me = flags.mock
+    ? await mockLogin(mockTransport)
+    : await clientCredentialsLogin({ clientId: process.env.GC_CLIENT_ID, clientSecret: process.env.GC_CLIENT_SECRET, region: process.env.GC_REGION });
+  log(`Running "${policy.name}" against ${GC_REGION}${flags["dry-run"] ? " (dry run)" : ""}`);
+
+  // Ctrl+C (or a scheduler's SIGTERM) cancels the analytics job or stops creating evaluations;
+  // the handlers are removed again so main() can be called more than once in one process
+  const control = { paused: false, cancelled: false };
+  const stop = (signal) => { log(`${signal}: stopping…`); control.cancelled = true; };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+  try {
+    const lookups = await loadPlanLookups();
+    let lastProgress = "";
+    const onProgress = (message) => { if (message !== lastProgress) log((lastProgress = message)); };
+    const { counts, dateWindow, warnings, preview, plan } = await planPolicyRun(policy, { interval, seed: flags.seed, lookups, me, onProgress, control });
+    warnings.forEach(w => log(`Warning: ${w}`));
+    log(`${dateWindow.label}: ${preview.totalCandidates} candidates, ${plan.items.length} evaluations planned (seed ${plan.seed})`);
+    if (plan.unassigned.length) log(`Warning: ${plan.unassigned.length} sampled conversations have no available evaluator`);
+
+    const report = {
+      type: REPORT_TYPE,
+      version: REPORT_VERSION,
+      dryRun: flags["dry-run"],
+      policy: { id: policy.id, name: policy.name },
+      interval: dateWindow.interval,
+      slice,
+      seed: plan.seed,
+      counts,
+      warnings,
+      sample: {
+        totalCandidates: preview.totalCandidates,
+        totalSampled: preview.totalSampled,
+        removedExisting: preview.removedExisting,
+        flaggedExisting: preview.flaggedExisting,
+        removedQuota: preview.removedQuota,
+        unassigned: plan.unassigned.length
+      }
+    };
+
+    let csv;
+    let exitCode = 0;
+    if (flags["dry-run"]) {
+      report.plan = plan;
+      csv = planToCsv(plan);
+    } else {
+      const journal = newJournal(plan, { policyId: policy.id, slice: slice || undefined, audit: auditSnapshot(plan, me, policy) });
+      let lastCount = -1;
+      await runJournal(journal, control, (snapshot) => {
+        const { created, failed } = journalCounts(snapshot);
+        if (created + failed !== lastCount && created + failed > 0 && (created + failed) % 25 === 0) log(`Created ${created}, failed ${failed} of ${snapshot.items.length}`);
+        lastCount = created + failed;
+      });
+      const [run] = recordRun(journal);
+      const done = journalCounts(journal);
+      log(`Run ${journal.status}: ${done.created} created, ${done.failed} failed, ${done.pending + done.creating} not created${journal.message ? ` (${journal.message})` : ""}`);
+      report.run = run;
+      csv = runsToCsv([run]);
+      if (journal.status !== "done" || done.failed) exitCode = 2;
+      const advanced = completeSlice(policy, journal);
+      if (advanced !== policy) {
+        await savePolicy(file, text, advanced);
+        log(`Policy "${policy.name}" will next run from ${advanced.lastRun.intervalEnd}`);
+      }
+    }
+    if (!exitCode && warnings.length) exitCode = 3;
+
+    const prefix = flags.report || `qm-${flags["dry-run"] ? "plan" : "run"}-${new Date().toISOString().slice(0,19).replace(/[:T]/g, "-")}`;
+    await writeFile(`${prefix}.json`, JSON.stringify(report, null, 2));
+    await writeFile(`${prefix}.csv`, csv);
+    log(`Report written to ${prefix}.json and ${prefix}.csv`);
+    return exitCode;
+  } finally {
+    process.off("SIGINT", stop);
+    process.off("SIGTERM", stop);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().then(code => { process.exitCode = code; }, (e) => {
+    log(`Error: ${String(e && e.message ? e.message : e)}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,1839 @@
+/*********************
+ * Framework-independent core: Genesys Cloud API access, criteria, search,
+ * sampling, evaluation plans, execution journal, run history and policies.
+ * Used by the React app (app.js) and, unchanged under Node, by the headless
+ * runner (cli.mjs) and the tests, which point it at the in-memory org from
+ * mock-gc.mjs via setTransport.
+ *********************/
+
+// -------------------- Storage --------------------
+// Browser storage when there is one; Node (tests, scripts) gets an in-memory stand-in
+function memoryStorage(){
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => { items.set(k, String(v)); },
+    removeItem: (k) => { items.delete(k); }
+  };
+}
+const session = typeof sessionStorage !== "undefined" ? sessionStorage : memoryStorage();
+const local = typeof localStorage !== "undefined" ? localStorage : memoryStorage();
+
+// -------------------- Auth + API helpers (no SDK) --------------------
+export let GC_TOKEN = session.getItem("gc_token") || "";
+export let GC_REGION = session.getItem("gc_region") || ""; // e.g. mypurecloud.ie
+export let GC_TOKEN_EXPIRES = Number(session.getItem("gc_token_expires") || 0); // epoch ms, 0 = unknown
+
+export function setToken(token){
+  GC_TOKEN = token || "";
+  if (token) session.setItem("gc_token", token);
+  else session.removeItem("gc_token");
+}
+export function setTokenExpiry(expiresInSec){
+  GC_TOKEN_EXPIRES = expiresInSec > 0 ? Date.now() + expiresInSec * 1000 : 0;
+  if (GC_TOKEN_EXPIRES) session.setItem("gc_token_expires", String(GC_TOKEN_EXPIRES));
+  else session.removeItem("gc_token_expires");
+}
+export function tokenExpired(){ return GC_TOKEN_EXPIRES > 0 && Date.now() >= GC_TOKEN_EXPIRES; }
+export function setRegion(region){
+  GC_REGION = region || "";
+  if (region) session.setItem("gc_region", region);
+  else session.removeItem("gc_region");
+}
+
+function apiBase(){
+  if (!GC_REGION) throw new Error("Region not set");
+  return `https://api.${GC_REGION}`;
+}
+
+function buildUrl(path, query){
+  const q = new URLSearchParams();
+  if (query) Object.entries(query).forEach(([k,v]) => {
+    if (v === undefined || v === null) return;
+    if (Array.isArray(v)) v.forEach(val => q.append(k, String(val)));
+    else q.append(k, String(v));
+  });
+  const qs = q.toString();
+  return `${apiBase()}${path}${qs ? `?${qs}` : ""}`;
+}
+
+function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
+
+// Retry-After (seconds) when the API sends one, else exponential backoff with jitter
+const MAX_RETRIES = 5;
+function retryDelayMs(res, attempt){
+  const header = res.headers.get("Retry-After");
+  const retryAfter = header === null || header === "" ? NaN : Number(header);
+  if (retryAfter >= 0) return retryAfter * 1000;
+  return Math.min(30000, 1000 * 2 ** attempt) + Math.floor(Math.random() * 250);
+}
+
+/*
+ * Requests go through a transport with fetch's signature, returning a
+ * Response. The default is fetch itself; setTransport swaps in another one,
+ * such as the in-memory mock org in mock-gc.mjs.
+ */
+let transport = (url, init) => fetch(url, init);
+export function setTransport(next){ transport = next || ((url, init) => fetch(url, init)); }
+
+export async function apiFetch(path, init){
+  if (!GC_TOKEN) throw new Error("Not authenticated");
+  if (tokenExpired()) {
+    const err = new Error("Session expired");
+    err.status = 401;
+    throw err;
+  }
+  for (let attempt = 0; ; attempt++){
+    const res = await transport(buildUrl(path), {
+      ...init,
+      headers: {
+        Authorization: `Bearer ${GC_TOKEN}`,
+        "Content-Type": "application/json",
+        ...(init && init.headers ? init.headers : {})
+      }
+    });
+    if ((res.status === 429 || res.status === 503) && attempt < MAX_RETRIES) {
+      await sleep(retryDelayMs(res, attempt));
+      continue;
+    }
+    if (!res.ok) {
+      const text = await res.text().catch(()=>"");
+      const err = new Error(`API ${path} failed: ${res.status} ${res.statusText} ${text}`);
+      err.status = res.status;
+      throw err;
+    }
+    if (res.status === 204) return null;
+    return res.json();
+  }
+}
+
+/**
+ * Follows nextUri up to maxPages. If pages remain when the cap is hit the
+ * returned array carries `truncated = true` so callers can warn about it.
+ */
+export async function getAllPages(path, params = {}, maxPages = 50){
+  let pageNumber = params.pageNumber || 1;
+  const pageSize = params.pageSize || 100;
+  const out = [];
+  for (let i=0; i<maxPages; i++){
+    const qs = new URLSearchParams({ ...params, pageNumber: String(pageNumber), pageSize: String(pageSize) });
+    const data = await apiFetch(`${path}?${qs}`);
+    const entities = (data && (data.entities || data.items)) || [];
+    out.push(...entities);
+    if (!data || !data.nextUri) return out;
+    pageNumber++;
+  }
+  out.truncated = true;
+  return out;
+}
+
+// -------------------- Lookups --------------------
+// Maps entities to { id, label } options, keeping getAllPages' truncation flag
+function toOptions(entities, label, extra){
+  const out = entities.map(e => ({ id: e.id, label: label(e), ...(extra ? extra(e) : {}) }));
+  if (entities.truncated) out.truncated = true;
+  return out;
+}
+export async function fetchUsers(){
+  const entities = await getAllPages("/api/v2/users", { state: "active", pageSize: 100 });
+  return toOptions(entities, u => u.name || u.username || u.id);
+}
+async function fetchQueues(){
+  const entities = await getAllPages("/api/v2/routing/queues", { pageSize: 100 });
+  return toOptions(entities, q => q.name);
+}
+async function fetchSkills(){
+  const entities = await getAllPages("/api/v2/routing/skills", { pageSize: 200 });
+  return toOptions(entities, s => s.name);
+}
+async function fetchLanguages(){
+  const entities = await getAllPages("/api/v2/routing/languages", { pageSize: 200 });
+  return toOptions(entities, l => l.name || l.code || l.id);
+}
+async function fetchWorkTeams(){
+  const entities = await getAllPages("/api/v2/teams", { pageSize: 200 });
+  return toOptions(entities, t => t.name);
+}
+async function fetchWrapUpCodes(){
+  const entities = await getAllPages("/api/v2/routing/wrapupcodes", { pageSize: 200 });
+  return toOptions(entities, w => w.name);
+}
+async function fetchTopics(){
+  const entities = await getAllPages("/api/v2/speechandtextanalytics/topics", { pageSize: 200 });
+  return toOptions(entities, t => t.name);
+}
+async function fetchCategories(){
+  const entities = await getAllPages("/api/v2/speechandtextanalytics/categories", { pageSize: 200 });
+  return toOptions(entities, c => c.name);
+}
+// Only published form versions can be used to create evaluations
+async function fetchEvalForms(){
+  const entities = await getAllPages("/api/v2/quality/publishedforms/evaluations", { pageSize: 100 });
+  const published = entities.filter(f => f.published !== false);
+  if (entities.truncated) published.truncated = true;
+  return toOptions(published, f => f.name, f => ({ contextId: f.contextId }));
+}
+// Users holding a role that grants evaluation scoring
+const EVALUATOR_PERMISSION = "quality:evaluation:editScore";
+async function fetchEvaluatorIds(){
+  const roles = await getAllPages("/api/v2/authorization/roles", { permission: EVALUATOR_PERMISSION, pageSize: 100 });
+  const lists = await Promise.all(roles.map(r => getAllPages(`/api/v2/authorization/roles/${r.id}/users`, { pageSize: 100 })));
+  const ids = Array.from(new Set(lists.flat().map(u => u.id)));
+  if (roles.truncated || lists.some(l => l.truncated)) ids.truncated = true;
+  return ids;
+}
+// Fetched by id so evaluators resolve even when the user list is truncated
+async function fetchEvaluators(){
+  const ids = await fetchEvaluatorIds();
+  const out = [];
+  for (let i = 0; i < ids.length; i += 100){
+    const qs = new URLSearchParams(ids.slice(i, i + 100).map(id => ["id", id]));
+    qs.set("pageSize", "100");
+    const data = await apiFetch(`/api/v2/users?${qs}`);
+    out.push(...((data && data.entities) || []));
+  }
+  if (ids.truncated) out.truncated = true;
+  return toOptions(out, u => u.name || u.username || u.id);
+}
+
+// Type-ahead searches, for orgs too large to list up front
+export async function searchUsers(text){
+  const data = await apiFetch("/api/v2/users/search", {
+    method: "POST",
+    body: JSON.stringify({
+      pageSize: 25,
+      query: [
+        { type: "QUERY_STRING", fields: ["name", "email", "username"], value: text },
+        { type: "EXACT", fields: ["state"], values: ["active"] }
+      ]
+    })
+  });
+  return toOptions((data && data.results) || [], u => u.name || u.username || u.id);
+}
+export async function searchQueues(text){
+  const qs = new URLSearchParams({ name: `*${text}*`, pageSize: "25" });
+  const data = await apiFetch(`/api/v2/routing/queues?${qs}`);
+  return toOptions((data && data.entities) || [], q => q.name);
+}
+
+// Keyed as in App's `lookups` state; each list loads (and fails) on its own
+export const LOOKUP_SOURCES = {
+  users: { label: "Users", fetch: fetchUsers },
+  queues: { label: "Queues", fetch: fetchQueues },
+  skills: { label: "Skills", fetch: fetchSkills },
+  languages: { label: "Languages", fetch: fetchLanguages },
+  workTeams: { label: "Work teams", fetch: fetchWorkTeams },
+  wrapUps: { label: "Wrap-up codes", fetch: fetchWrapUpCodes },
+  topics: { label: "Topics", fetch: fetchTopics },
+  categories: { label: "Categories", fetch: fetchCategories },
+  forms: { label: "Evaluation forms", fetch: fetchEvalForms },
+  evaluators: { label: "Evaluators", fetch: fetchEvaluators }
+};
+
+export function emptyLookups(){
+  return Object.fromEntries(Object.keys(LOOKUP_SOURCES).map(k => [k, []]));
+}
+
+export function mergeOptions(options, found){
+  const known = new Set(options.map(o => o.id));
+  const extra = found.filter(o => !known.has(o.id));
+  return extra.length ? [...options, ...extra] : options;
+}
+
+// -------------------- Defaults --------------------
+export function defaultCriteria(){
+  return {
+    dateMode: "fixed",
+    dateFrom: new Date(Date.now() - 7*24*3600*1000).toISOString().slice(0,10),
+    dateTo: new Date().toISOString().slice(0,10),
+    relativeWindow: "last7Days",
+    isoInterval: "",
+    timeZone: browserTimeZone(),
+    mediaType: "voice",
+    direction: "both",
+    queues: [],
+    users: [],
+    workTeams: [],
+    wrapUpCodes: [],
+    skills: [],
+    languages: [],
+    agentAttribution: "each",
+    group: newGroup("and"),
+    minDurationSec: undefined,
+    maxDurationSec: undefined,
+    // Advanced
+    useAdvanced: false,
+    useSentiment: false,
+    sentimentMin: undefined,
+    sentimentMax: undefined,
+    useTopics: false,
+    includeTopics: [],
+    excludeTopics: [],
+    useCategories: false,
+    includeCategories: [],
+    excludeCategories: [],
+  };
+}
+
+export function defaultRules(){
+  return {
+    mode: "byAgent",
+    perAgentTarget: 2,
+    perAgentPercent: 5,
+    perAgentMin: 1,
+    randomTargetCount: 20,
+    strataKey: "queueId",
+    strataMin: 1,
+    weightBy: "negativeSentiment",
+    seed: "",
+    evalFormId: "",
+    evaluatorIds: [],
+    evaluatorSettings: {},
+    preferOutsideTeam: false,
+    existingEvalPolicy: "exclude",
+    skipAgentsAtQuota: false,
+  };
+}
+
+// -------------------- Date windows --------------------
+/*
+ * Intervals are half-open [start, end) with day boundaries taken in the
+ * criteria's IANA time zone. Relative windows resolve against "now", so a
+ * saved policy always searches the current window.
+ */
+export const RELATIVE_WINDOWS = {
+  yesterday: "Yesterday",
+  last7Days: "Last 7 complete days",
+  last30Days: "Last 30 complete days",
+  weekToDate: "Week to date",
+  previousWeek: "Previous calendar week (Mon–Sun)",
+  monthToDate: "Month to date",
+  previousMonth: "Previous calendar month",
+};
+
+export const CADENCES = { daily: "Daily", weekly: "Weekly (Mon–Sun)", monthly: "Monthly" };
+
+function browserTimeZone(){
+  try { return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"; }
+  catch (e) { return "UTC"; }
+}
+
+export function timeZoneOptions(){
+  const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  return Array.from(new Set(["UTC", browserTimeZone(), ...zones]));
+}
+
+// Wall-clock parts of an instant in `tz`
+function zonedParts(date, tz){
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return { y: Number(parts.year), m: Number(parts.month), d: Number(parts.day), h: Number(parts.hour), min: Number(parts.minute), s: Number(parts.second) };
+}
+
+function tzOffsetMs(date, tz){
+  const p = zonedParts(date, tz);
+  return Date.UTC(p.y, p.m - 1, p.d, p.h, p.min, p.s) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The UTC instant of local midnight on y-m-d in `tz` (month/day may overflow, Date.UTC normalises)
+function zonedMidnight(y, m, d, tz){
+  const guess = Date.UTC(y, m - 1, d);
+  let t = guess - tzOffsetMs(new Date(guess), tz);
+  t = guess - tzOffsetMs(new Date(t), tz);
+  return new Date(t);
+}
+
+function localDate(date, tz){
+  const p = zonedParts(date, tz);
+  return { y: p.y, m: p.m, d: p.d, dow: (new Date(Date.UTC(p.y, p.m - 1, p.d)).getUTCDay() + 6) % 7 };
+}
+
+function parseIsoDuration(text){
+  const m = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(text);
+  if (!m || text === "P" || text.endsWith("T")) throw new Error(`Invalid ISO-8601 duration: ${text}`);
+  const [years, months, weeks, days, hours, minutes, seconds] = m.slice(1).map(v => Number(v || 0));
+  return { years, months, weeks, days, hours, minutes, seconds };
+}
+
+function shiftByDuration(date, dur, sign){
+  const t = new Date(date.getTime());
+  t.setUTCFullYear(t.getUTCFullYear() + sign * dur.years, t.getUTCMonth() + sign * dur.months);
+  return new Date(t.getTime() + sign * (((dur.weeks * 7 + dur.days) * 24 + dur.hours) * 3600 + dur.minutes * 60 + dur.seconds) * 1000);
+}
+
+function parseIsoInstant(text){
+  const d = new Date(text);
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(text) || isNaN(d.getTime())) throw new Error(`Invalid ISO-8601 date-time: ${text}`);
+  return d;
+}
+
+// start/end, start/duration or duration/end
+function parseIsoInterval(text){
+  const [a, b] = String(text || "").trim().split("/");
+  if (!a || !b) throw new Error("An ISO-8601 interval needs two parts separated by '/'");
+  if (a.startsWith("P") && b.startsWith("P")) throw new Error("An ISO-8601 interval can't be two durations");
+  if (a.startsWith("P")) { const end = parseIsoInstant(b); return { start: shiftByDuration(end, parseIsoDuration(a), -1), end }; }
+  const start = parseIsoInstant(a);
+  return { start, end: b.startsWith("P") ? shiftByDuration(start, parseIsoDuration(b), 1) : parseIsoInstant(b) };
+}
+
+/**
+ * Resolves the criteria date settings to { start, end, interval, label },
+ * where `interval` is the "start/end" string the analytics APIs take.
+ */
+export function resolveInterval(criteria, now = new Date()){
+  const tz = criteria.timeZone || "UTC";
+  let start, end, label;
+  if (criteria.dateMode === "iso") {
+    ({ start, end } = parseIsoInterval(criteria.isoInterval));
+    label = criteria.isoInterval;
+  } else if (criteria.dateMode === "relative") {
+    const t = localDate(now, tz);
+    const day = (offset) => zonedMidnight(t.y, t.m, t.d + offset, tz);
+    switch (criteria.relativeWindow){
+      case "yesterday": start = day(-1); end = day(0); break;
+      case "last7Days": start = day(-7); end = day(0); break;
+      case "last30Days": start = day(-30); end = day(0); break;
+      case "weekToDate": start = day(-t.dow); end = now; break;
+      case "previousWeek": start = day(-t.dow - 7); end = day(-t.dow); break;
+      case "monthToDate": start = zonedMidnight(t.y, t.m, 1, tz); end = now; break;
+      case "previousMonth": start = zonedMidnight(t.y, t.m - 1, 1, tz); end = zonedMidnight(t.y, t.m, 1, tz); break;
+      default: throw new Error(`Unknown relative window ${criteria.relativeWindow}`);
+    }
+    label = RELATIVE_WINDOWS[criteria.relativeWindow];
+  } else {
+    if (!criteria.dateFrom || !criteria.dateTo) throw new Error("Pick a start and end date");
+    const [fy, fm, fd] = criteria.dateFrom.split("-").map(Number);
+    const [ty, tm, td] = criteria.dateTo.split("-").map(Number);
+    start = zonedMidnight(fy, fm, fd, tz);
+    end = zonedMidnight(ty, tm, td + 1, tz);
+    label = `${criteria.dateFrom} → ${criteria.dateTo}`;
+  }
+  if (!(start < end)) throw new Error("The interval end must be after its start");
+  return { start, end, interval: `${start.toISOString()}/${end.toISOString()}`, label: `${label} (${tz})` };
+}
+
+// -------------------- Recurring runs --------------------
+/*
+ * A scheduled policy runs over consecutive slices of its cadence. Each
+ * completed run stores the slice end, and the next slice starts exactly
+ * there, so windows never gap or overlap.
+ */
+function cadenceStart(date, cadence, tz){
+  const t = localDate(date, tz);
+  if (cadence === "weekly") return zonedMidnight(t.y, t.m, t.d - t.dow, tz);
+  if (cadence === "monthly") return zonedMidnight(t.y, t.m, 1, tz);
+  return zonedMidnight(t.y, t.m, t.d, tz);
+}
+
+function addCadence(date, cadence, tz){
+  const t = localDate(date, tz);
+  if (cadence === "weekly") return zonedMidnight(t.y, t.m, t.d + 7, tz);
+  if (cadence === "monthly") return zonedMidnight(t.y, t.m + 1, t.d, tz);
+  return zonedMidnight(t.y, t.m, t.d + 1, tz);
+}
+
+/**
+ * Slices still to run for a scheduled policy, oldest first. A policy that
+ * has never run starts with the last complete slice.
+ */
+export function dueSlices(policy, now = new Date()){
+  const schedule = policy.schedule;
+  if (!schedule || !schedule.cadence) return [];
+  const tz = (policy.criteria && policy.criteria.timeZone) || "UTC";
+  const current = cadenceStart(now, schedule.cadence, tz);
+  let start = policy.lastRun && policy.lastRun.intervalEnd
+    ? new Date(policy.lastRun.intervalEnd)
+    : cadenceStart(new Date(current.getTime() - 1), schedule.cadence, tz);
+  const slices = [];
+  while (slices.length < 100){
+    const end = addCadence(start, schedule.cadence, tz);
+    if (end > now) break;
+    slices.push({ start: start.toISOString(), end: end.toISOString(), interval: `${start.toISOString()}/${end.toISOString()}` });
+    start = end;
+  }
+  return slices;
+}
+
+export function nextSlice(policy, now = new Date()){
+  const due = dueSlices(policy, now);
+  if (due.length) return due[0];
+  const tz = (policy.criteria && policy.criteria.timeZone) || "UTC";
+  const start = policy.lastRun && policy.lastRun.intervalEnd ? new Date(policy.lastRun.intervalEnd) : cadenceStart(now, policy.schedule.cadence, tz);
+  const end = addCadence(start, policy.schedule.cadence, tz);
+  return { start: start.toISOString(), end: end.toISOString(), interval: `${start.toISOString()}/${end.toISOString()}` };
+}
+
+/*
+ * Moves a scheduled policy on past the slice a finished journal covered.
+ * A slice with failed or uncreated items stays due so it is run again; the
+ * app and the CLI both rely on this rule.
+ */
+const UNFINISHED_ITEM_STATES = ["failed", "pending", "creating"];
+export function completeSlice(policy, journal){
+  if (!journal || journal.status !== "done" || !journal.slice) return policy;
+  if ((journal.items || []).some(it => UNFINISHED_ITEM_STATES.includes(it.status))) return policy;
+  if (policy.lastRun && policy.lastRun.intervalEnd >= journal.slice.end) return policy;
+  const lastRun = { intervalStart: journal.slice.start, intervalEnd: journal.slice.end, ranAt: journal.finishedAt, runId: journal.id };
+  return { ...policy, lastRun };
+}
+
+// -------------------- Criteria groups --------------------
+/*
+ * `criteria.group` is a tree ANDed with the flat filters above it:
+ *   group: { kind: "group", id, op: "and" | "or", negate, children: [...] }
+ *   cond:  { kind: "cond", id, dimension, mode: "include" | "exclude", values: [...] }
+ * The analytics query only supports "matches" predicates nested one level,
+ * so it gets a superset of the tree and every hit is then checked against
+ * the whole tree. Subtrees made only of topics/categories are sent to STA
+ * transcript search as nested clauses and checked by membership. Searches
+ * are always for the positive match and exclusions are applied to the hits,
+ * since transcript search only returns analyzed conversations: a
+ * conversation without a transcript has no excluded topic either.
+ */
+export const GROUP_DIMENSIONS = {
+  queue: { label: "Queue", lookup: "queues", scope: "segment", dimension: "queueId", values: h => [h.queueId] },
+  user: { label: "Agent", lookup: "users", scope: "segment", dimension: "userId", values: h => [h.agentId] },
+  workTeam: { label: "Work team", lookup: "workTeams", scope: "segment", dimension: "userId", values: h => [h.agentId] },
+  wrapUp: { label: "Wrap-up code", lookup: "wrapUps", scope: "segment", dimension: "wrapUpCode", values: h => [h.wrapUpCode] },
+  skill: { label: "Skill", lookup: "skills", scope: "segment", dimension: "requestedRoutingSkillId", values: h => h.skills || [] },
+  language: { label: "Language", lookup: "languages", scope: "segment", dimension: "requestedLanguageId", values: h => [h.language] },
+  direction: { label: "Direction", options: [{ id: "inbound", label: "Inbound" }, { id: "outbound", label: "Outbound" }], scope: "conversation", dimension: "originatingDirection", values: h => [h.direction] },
+  mediaType: { label: "Media type", options: [{ id: "voice", label: "Voice" }, { id: "chat", label: "Chat" }, { id: "email", label: "Email" }, { id: "message", label: "Messaging" }], scope: "segment", dimension: "mediaType", values: h => [h.mediaType] },
+  topic: { label: "Topic", lookup: "topics", field: "topicId" },
+  category: { label: "Category", lookup: "categories", field: "categoryId" }
+};
+
+let groupNodeSeq = 0;
+function newNodeId(){ return `n${Date.now().toString(36)}${(groupNodeSeq++).toString(36)}`; }
+export function newGroup(op = "and"){ return { kind: "group", id: newNodeId(), op, negate: false, children: [] }; }
+export function newCondition(dimension = "queue"){ return { kind: "cond", id: newNodeId(), dimension, mode: "include", values: [] }; }
+
+function isStaDimension(dimension){ return !!(GROUP_DIMENSIONS[dimension] && GROUP_DIMENSIONS[dimension].field); }
+
+// Conditions without values and groups without such conditions are ignored
+export function pruneGroup(node){
+  if (!node) return null;
+  if (node.kind === "cond") return node.values && node.values.length && GROUP_DIMENSIONS[node.dimension] ? node : null;
+  const children = (node.children || []).map(pruneGroup).filter(Boolean);
+  return children.length ? { ...node, children } : null;
+}
+
+function groupConditions(node, out = []){
+  if (!node) return out;
+  if (node.kind === "cond") out.push(node);
+  else (node.children || []).forEach(c => groupConditions(c, out));
+  return out;
+}
+
+// STA conditions and groups of them with no exclusion or negation anywhere
+function isPositiveSta(node){
+  if (node.kind === "cond") return isStaDimension(node.dimension) && node.mode === "include";
+  return !node.negate && node.children.every(isPositiveSta);
+}
+
+function isNegated(node){
+  return node.kind === "cond" ? node.mode === "exclude" : !!node.negate;
+}
+
+/*
+ * Largest subtrees that only use STA dimensions and are positive apart from
+ * their own exclusion or negation; each becomes one transcript search.
+ */
+export function staSubtrees(node, out = []){
+  if (!node) return out;
+  const body = node.kind === "cond" ? isStaDimension(node.dimension) : node.children.every(isPositiveSta);
+  if (body) out.push(node);
+  else if (node.kind === "group") node.children.forEach(c => staSubtrees(c, out));
+  return out;
+}
+
+// Clause for a subtree without its own exclusion or negation, which matchesGroup applies
+export function compileTranscriptClause(node){
+  if (node.kind === "cond") return { type: "TERMS", field: GROUP_DIMENSIONS[node.dimension].field, values: node.values };
+  const clauses = node.children.map(compileTranscriptClause);
+  return clauses.length === 1 ? clauses[0] : { type: node.op === "or" ? "OR" : "AND", clauses };
+}
+
+/*
+ * Analytics approximation: returns { scope, predicates } (any predicate may
+ * match) implied by the node, or null when nothing narrower can be said
+ * (exclusions, negations, STA conditions, or ORs across scopes).
+ */
+function approxPredicates(node, teamMembers){
+  if (node.kind === "cond") {
+    const dim = GROUP_DIMENSIONS[node.dimension];
+    if (node.mode !== "include" || !dim.dimension) return null;
+    const values = node.dimension === "workTeam" ? node.values.flatMap(id => Array.from(teamMembers.get(id) || [])) : node.values;
+    if (!values.length) return null;
+    return { scope: dim.scope, predicates: values.map(value => ({ dimension: dim.dimension, operator: "matches", value })) };
+  }
+  if (node.negate) return null;
+  const parts = node.children.map(c => approxPredicates(c, teamMembers));
+  if (node.op === "and") return parts.find(Boolean) || null;
+  if (parts.some(p => !p) || new Set(parts.map(p => p.scope)).size > 1) return null;
+  return { scope: parts[0].scope, predicates: parts.flatMap(p => p.predicates) };
+}
+
+/**
+ * Adds the group's analytics superset to a details query body. Top-level
+ * AND children become separate filters, which the API also ANDs together.
+ */
+export function addGroupFilters(body, group, teamMembers){
+  if (!group) return body;
+  const parts = group.op === "and" && !group.negate ? group.children.map(c => approxPredicates(c, teamMembers)) : [approxPredicates(group, teamMembers)];
+  parts.filter(Boolean).forEach(p => {
+    const filter = { type: "or", predicates: p.predicates };
+    if (p.scope === "conversation") body.conversationFilters.push(filter);
+    else body.segmentFilters.push(filter);
+  });
+  return body;
+}
+
+/**
+ * Exact check of a hit against the group. `ctx.teamMembers` maps team id to
+ * a Set of user ids; `ctx.staMatches` maps STA subtree ids to Sets of
+ * conversation ids matching the subtree's positive clause.
+ */
+export function matchesGroup(node, hit, ctx){
+  if (!node) return true;
+  if (ctx.staMatches.has(node.id)) {
+    const found = ctx.staMatches.get(node.id).has(hit.conversationId);
+    return isNegated(node) ? !found : found;
+  }
+  if (node.kind === "cond") {
+    const dim = GROUP_DIMENSIONS[node.dimension];
+    const have = dim.values(hit).filter(Boolean);
+    const matched = node.dimension === "workTeam"
+      ? node.values.some(teamId => have.some(id => (ctx.teamMembers.get(teamId) || new Set()).has(id)))
+      : have.some(v => node.values.includes(v));
+    return node.mode === "exclude" ? !matched : matched;
+  }
+  const results = node.children.map(c => matchesGroup(c, hit, ctx));
+  const value = node.op === "or" ? results.some(Boolean) : results.every(Boolean);
+  return node.negate ? !value : value;
+}
+
+export function describeGroup(node, lookups, nested = false){
+  if (!node) return "";
+  if (node.kind === "cond") {
+    const dim = GROUP_DIMENSIONS[node.dimension];
+    const names = node.values.map(id => labelOf(dim.options || lookups[dim.lookup], id));
+    const list = names.length > 1 ? `one of ${names.join(", ")}` : names[0];
+    return `${dim.label} ${node.mode === "exclude" ? "is not" : "is"} ${list}`;
+  }
+  const text = node.children.map(c => describeGroup(c, lookups, true)).join(node.op === "or" ? " OR " : " AND ");
+  if (node.negate) return `NOT (${text})`;
+  return nested && node.children.length > 1 ? `(${text})` : text;
+}
+
+// -------------------- Search --------------------
+async function fetchTeamMembers(teamId){
+  const entities = await getAllPages(`/api/v2/teams/${teamId}/members`, { pageSize: 200 });
+  const members = entities.map(m => (m && m.user && m.user.id) || m.id).filter(Boolean);
+  if (entities.truncated) members.truncated = true;
+  return members;
+}
+
+function orFilter(dimension, values){
+  return { type: "or", predicates: values.map(value => ({ dimension, operator: "matches", value })) };
+}
+
+export function buildDetailsQuery(criteria){
+  const body = {
+    interval: criteria.interval,
+    order: "asc",
+    orderBy: "conversationStart",
+    startOfDayIntervalMatching: true,
+    conversationFilters: [],
+    segmentFilters: []
+  };
+  if (criteria.queues && criteria.queues.length) body.segmentFilters.push(orFilter("queueId", criteria.queues));
+  if (criteria.users && criteria.users.length) body.segmentFilters.push(orFilter("userId", criteria.users));
+  if (criteria.wrapUpCodes && criteria.wrapUpCodes.length) body.segmentFilters.push(orFilter("wrapUpCode", criteria.wrapUpCodes));
+  if (criteria.direction && criteria.direction !== "both") body.segmentFilters.push(orFilter("direction", [criteria.direction]));
+  if (criteria.mediaType) body.segmentFilters.push(orFilter("mediaType", [criteria.mediaType]));
+  return addGroupFilters(body, pruneGroup(criteria.group), criteria.teamMembers || new Map());
+}
+
+/*
+ * Analytics details jobs move QUEUED -> PENDING -> FULFILLED, or end FAILED,
+ * CANCELLED or EXPIRED; results are only read from a FULFILLED job, page by
+ * page through its cursor. Long intervals are split into sub-intervals of
+ * at most MAX_JOB_DAYS, each its own job. Whenever a limit cuts results
+ * short, a message is added to `warnings` instead of silently dropping rows.
+ * Setting `control.cancelled` (the same mutable object runJournal takes)
+ * stops the search and deletes the running job.
+ */
+const MAX_JOB_DAYS = 7;
+const JOB_TIMEOUT_MS = 15 * 60 * 1000;
+const JOB_POLL_MAX_MS = 10000;
+const JOB_PAGE_SIZE = 1000;
+const MAX_JOB_PAGES = 100;
+
+function searchCancelled(){
+  const err = new Error("Search cancelled");
+  err.cancelled = true;
+  return err;
+}
+
+// Sleeps in short steps so a cancel is noticed promptly
+async function pause(ms, control){
+  for (let waited = 0; waited < ms && !control.cancelled; waited += 250) await sleep(Math.min(250, ms - waited));
+}
+
+export function splitInterval(interval, days = MAX_JOB_DAYS){
+  const [from, to] = interval.split("/").map(Date.parse);
+  const step = days * 24 * 3600 * 1000;
+  const parts = [];
+  for (let start = from; start < to; start += step){
+    parts.push(`${new Date(start).toISOString()}/${new Date(Math.min(start + step, to)).toISOString()}`);
+  }
+  return parts;
+}
+
+async function cancelJob(jobId){
+  await apiFetch(`/api/v2/analytics/conversations/details/jobs/${jobId}`, { method: "DELETE" })
+    .catch(e => console.warn(`Could not cancel analytics job ${jobId}:`, e));
+}
+
+async function waitForJob(jobId, label, control, onProgress){
+  const started = Date.now();
+  for (let poll = 0; ; poll++){
+    if (control.cancelled) { await cancelJob(jobId); throw searchCancelled(); }
+    const status = await apiFetch(`/api/v2/analytics/conversations/details/jobs/${jobId}`);
+    const state = String((status && status.state) || "").toUpperCase();
+    if (state === "FULFILLED") return;
+    if (state === "FAILED") throw new Error(`${label} failed: ${(status && status.errorMessage) || "no reason given"}`);
+    if (state === "CANCELLED") throw new Error(`${label} was cancelled in Genesys Cloud`);
+    if (state === "EXPIRED") throw new Error(`${label} expired before its results were read; run the search again`);
+    if (Date.now() - started > JOB_TIMEOUT_MS) {
+      await cancelJob(jobId);
+      throw new Error(`${label} did not finish within ${JOB_TIMEOUT_MS / 60000} minutes and was cancelled; narrow the criteria or shorten the date range`);
+    }
+    if (onProgress) onProgress(`${label} ${(state || "queued").toLowerCase()}…`);
+    await pause(Math.min(JOB_POLL_MAX_MS, 1000 * 1.5 ** poll), control);
+  }
+}
+
+async function readJobResults(jobId, label, control, onProgress, warnings){
+  const rows = [];
+  let cursor;
+  for (let page = 1; ; page++){
+    if (control.cancelled) throw searchCancelled();
+    const qs = new URLSearchParams({ pageSize: String(JOB_PAGE_SIZE) });
+    if (cursor) qs.set("cursor", cursor);
+    const res = await apiFetch(`/api/v2/analytics/conversations/details/jobs/${jobId}/results?${qs}`);
+    rows.push(...((res && res.conversations) || []));
+    if (onProgress) onProgress(`${label}: read ${rows.length} conversations…`);
+    cursor = res && res.cursor;
+    if (!cursor) return rows;
+    if (page >= MAX_JOB_PAGES) {
+      warnings.push(`${label} stopped reading after ${rows.length} conversations (${MAX_JOB_PAGES} result pages); later conversations in its interval are missing. Narrow the criteria or shorten the date range.`);
+      return rows;
+    }
+  }
+}
+
+async function runConversationDetailsJobs(criteria, control, onProgress, warnings){
+  const intervals = splitInterval(criteria.interval);
+  const rows = [];
+  const seen = new Set();
+  for (const [i, interval] of intervals.entries()){
+    if (control.cancelled) throw searchCancelled();
+    const label = intervals.length > 1 ? `Analytics job ${i + 1} of ${intervals.length}` : "Analytics job";
+    if (onProgress) onProgress(`Submitting ${label.toLowerCase()}…`);
+    const job = await apiFetch("/api/v2/analytics/conversations/details/jobs", { method: "POST", body: JSON.stringify(buildDetailsQuery({ ...criteria, interval })) });
+    const jobId = job.jobId || job.id;
+    await waitForJob(jobId, label, control, onProgress);
+    for (const row of await readJobResults(jobId, label, control, onProgress, warnings)){
+      if (seen.has(row.conversationId)) continue;
+      seen.add(row.conversationId);
+      rows.push(row);
+    }
+  }
+  return rows;
+}
+
+/*
+ * Details rows nest participants[].sessions[].segments[]. Each agent who
+ * took part becomes one hit (repeat participations by the same user are
+ * merged), unless `attribution` picks the last or longest-handle agent.
+ * Handle time is the sum of the agent's closed interact segments; queue and
+ * wrap-up come from the agent's own segments; requested skills and language
+ * from the agent's segments, else from the ACD (queue) participant.
+ */
+export const AGENT_ATTRIBUTION = {
+  each: "Every agent who handled it",
+  last: "Last agent",
+  longest: "Longest-handle agent"
+};
+
+// Stable identity of a hit: one conversation can yield one hit per agent
+export function hitKey(h){ return h.agentId ? `${h.conversationId}:${h.agentId}` : h.conversationId; }
+
+function segmentMs(s){
+  if (!s || !s.segmentStart || !s.segmentEnd) return 0;
+  return Math.max(0, Date.parse(s.segmentEnd) - Date.parse(s.segmentStart));
+}
+
+function addSkills(list, ids){ (ids || []).forEach(id => { if (!list.includes(id)) list.push(id); }); }
+
+export function mapDetailsToHits(rows, attribution = "each"){
+  const out = [];
+  for (const r of rows){
+    const conversationId = r && (r.conversationId || r.id);
+    if (!conversationId) continue;
+    const startTime = r.conversationStart || r.startTime || "";
+    const routing = { skills: [], language: undefined, queueId: undefined };
+    const agents = new Map();
+    let mediaType;
+
+    for (const p of r.participants || []){
+      const isAgent = p && p.purpose === "agent" && p.userId;
+      for (const session of (p && p.sessions) || []){
+        if (!mediaType || isAgent) mediaType = session.mediaType || mediaType;
+        const segments = (session.segments || []).slice().sort((a, b) => (a.segmentStart < b.segmentStart ? -1 : a.segmentStart > b.segmentStart ? 1 : 0));
+        if (!isAgent) {
+          if (p.purpose === "acd") segments.forEach(s => {
+            addSkills(routing.skills, s.requestedRoutingSkillIds);
+            if (s.requestedLanguageId) routing.language = s.requestedLanguageId;
+            if (s.queueId) routing.queueId = s.queueId;
+          });
+          continue;
+        }
+        let agent = agents.get(p.userId);
+        if (!agent) {
+          agent = { agentId: p.userId, handleMs: 0, holdMs: 0, lastEnd: "", skills: [], language: undefined, queueId: undefined, wrapUpCode: undefined, direction: undefined, mediaType: undefined };
+          agents.set(p.userId, agent);
+        }
+        agent.mediaType = session.mediaType || agent.mediaType;
+        agent.direction = session.direction || agent.direction;
+        for (const s of segments){
+          if (s.segmentType === "interact") agent.handleMs += segmentMs(s);
+          if (s.segmentType === "hold") agent.holdMs += segmentMs(s);
+          if (s.queueId) agent.queueId = s.queueId;
+          if (s.wrapUpCode) agent.wrapUpCode = s.wrapUpCode;
+          if (s.requestedLanguageId) agent.language = s.requestedLanguageId;
+          if (!agent.direction && s.direction) agent.direction = s.direction;
+          addSkills(agent.skills, s.requestedRoutingSkillIds);
+          if (s.segmentEnd && s.segmentEnd > agent.lastEnd) agent.lastEnd = s.segmentEnd;
+        }
+      }
+    }
+
+    let chosen = Array.from(agents.values());
+    if (attribution === "last" && chosen.length > 1) chosen = [chosen.reduce((a, b) => (b.lastEnd > a.lastEnd ? b : a))];
+    if (attribution === "longest" && chosen.length > 1) chosen = [chosen.reduce((a, b) => (b.handleMs > a.handleMs ? b : a))];
+    if (!chosen.length) chosen = [{ handleMs: 0, holdMs: 0, skills: [] }];
+
+    const agentCount = agents.size;
+    chosen.forEach(a => out.push({
+      conversationId,
+      startTime,
+      agentId: a.agentId,
+      agentCount,
+      queueId: a.queueId || routing.queueId,
+      wrapUpCode: a.wrapUpCode,
+      language: a.language || routing.language,
+      durationSec: a.agentId ? Math.round(a.handleMs / 1000) : undefined,
+      holdSec: a.agentId ? Math.round(a.holdMs / 1000) : undefined,
+      direction: a.direction || r.originatingDirection,
+      mediaType: a.mediaType || mediaType,
+      skills: a.skills.length ? a.skills : routing.skills
+    }));
+  }
+  return out;
+}
+
+function buildTranscriptClauses(criteria){
+  const clauses = [];
+  if (criteria.useSentiment){
+    if (typeof criteria.sentimentMin === "number") clauses.push({ type: "RANGE", field: "overallSentiment", gte: criteria.sentimentMin });
+    if (typeof criteria.sentimentMax === "number") clauses.push({ type: "RANGE", field: "overallSentiment", lte: criteria.sentimentMax });
+  }
+  if (criteria.useTopics && criteria.includeTopics.length) clauses.push({ type: "TERMS", field: "topicId", values: criteria.includeTopics });
+  if (criteria.useTopics && criteria.excludeTopics.length) clauses.push({ type: "NOT", clause: { type: "TERMS", field: "topicId", values: criteria.excludeTopics } });
+  if (criteria.useCategories && criteria.includeCategories.length) clauses.push({ type: "TERMS", field: "categoryId", values: criteria.includeCategories });
+  if (criteria.useCategories && criteria.excludeCategories.length) clauses.push({ type: "NOT", clause: { type: "TERMS", field: "categoryId", values: criteria.excludeCategories } });
+  return clauses;
+}
+
+/*
+ * Returns a Map of conversationId -> overall sentiment (when the result
+ * carries one), scaled from transcript search's -100..100 to the -1..1 that
+ * STA conversations use, so every hit's sentimentScore is on one scale.
+ * Runs per sub-interval like the details jobs; each stops at
+ * MAX_TRANSCRIPT_PAGES, and a search cut short adds a warning, since hits
+ * missing from it are dropped when the two result sets are intersected.
+ */
+const MAX_TRANSCRIPT_PAGES = 10;
+const TRANSCRIPT_PAGE_SIZE = 100;
+
+async function transcriptSearch(interval, query, { label = "Transcript search", control = {}, onProgress, warnings = [] } = {}){
+  const ids = new Map();
+  for (const part of splitInterval(interval)){
+    let read = 0;
+    for (let pageNumber = 1; ; pageNumber++){
+      if (control.cancelled) throw searchCancelled();
+      const body = { interval: part, pageNumber, pageSize: TRANSCRIPT_PAGE_SIZE, query, sortOrder: "asc" };
+      const res = await apiFetch("/api/v2/speechandtextanalytics/transcripts/search", { method: "POST", body: JSON.stringify(body) });
+      const results = (res && (res.conversations || res.results)) || [];
+      read += results.length;
+      for (const row of results){
+        const id = row && (row.conversationId || row.id);
+        if (id) ids.set(id, typeof row.overallSentiment === "number" ? row.overallSentiment / 100 : undefined);
+      }
+      if (onProgress) onProgress(`${label}… ${ids.size} conversations`);
+      if (!res || !res.nextPage) break;
+      if (pageNumber >= MAX_TRANSCRIPT_PAGES) {
+        const total = typeof res.total === "number" ? ` of ${res.total}` : "";
+        warnings.push(`${label} for ${part} stopped after ${MAX_TRANSCRIPT_PAGES} pages (${read}${total} conversations). Matching conversations beyond that were dropped from the results; narrow the criteria or shorten the date range.`);
+        break;
+      }
+    }
+  }
+  return ids;
+}
+
+function transcriptSearchConversationIds(criteria, options){
+  const clauses = buildTranscriptClauses(criteria);
+  return transcriptSearch(criteria.interval, clauses.length ? { type: "AND", clauses } : undefined, options);
+}
+
+/*
+ * Fills in STA sentiment for hits that don't have it yet (used by
+ * sentiment-weighted sampling). A conversation without STA data (404) keeps
+ * the neutral weight; any other failure is thrown, since silently weighting
+ * everything the same would turn the sample into a uniform one.
+ */
+export async function fetchSentimentScores(hits, onProgress){
+  const missing = hits.filter(h => typeof h.sentimentScore !== "number" && !h.sentimentChecked);
+  const scores = {};
+  const chunkSize = 10;
+  for (let i=0; i<missing.length; i+=chunkSize){
+    const chunk = missing.slice(i, i+chunkSize);
+    await Promise.all(chunk.map(async (h) => {
+      try {
+        const res = await apiFetch(`/api/v2/speechandtextanalytics/conversations/${h.conversationId}`);
+        if (res && typeof res.sentimentScore === "number") scores[h.conversationId] = res.sentimentScore;
+      } catch (e) {
+        if (e.status !== 404) throw e;
+      }
+    }));
+    if (onProgress) onProgress(`Loaded sentiment for ${Math.min(i + chunkSize, missing.length)} of ${missing.length} conversations…`);
+  }
+  const checked = new Set(missing.map(h => h.conversationId));
+  return hits.map(h => (checked.has(h.conversationId) ? { ...h, sentimentChecked: true, sentimentScore: scores[h.conversationId] } : h));
+}
+
+/**
+ * Runs the full search for a criteria object and returns the matching hits,
+ * the count left after each stage, the resolved date window and any
+ * truncation warnings. Errors are thrown to the caller; there is
+ * deliberately no demo-data fallback. `control.cancelled` stops the search.
+ */
+export async function analyticsSearch(criteria, onProgress, control = {}){
+  const counts = {};
+  const warnings = [];
+  // Relative windows are resolved once so every stage searches the same interval
+  const dateWindow = resolveInterval(criteria);
+
+  // Work teams (flat and in groups) are expanded into their member users
+  const group = pruneGroup(criteria.group);
+  const teamIds = new Set([...(criteria.workTeams || []), ...groupConditions(group).filter(g => g.dimension === "workTeam").flatMap(g => g.values)]);
+  const teamMembers = new Map();
+  if (teamIds.size){
+    if (onProgress) onProgress("Expanding work teams…");
+    await Promise.all(Array.from(teamIds).map(async id => {
+      const members = await fetchTeamMembers(id);
+      if (members.truncated) warnings.push(`Work team ${id} has more members than could be loaded (${members.length} read). Conversations of the others were left out; split the team or select users instead.`);
+      teamMembers.set(id, new Set(members));
+    }));
+  }
+  const usersSet = new Set(criteria.users || []);
+  (criteria.workTeams || []).forEach(id => teamMembers.get(id).forEach(u => usersSet.add(u)));
+  if (criteria.workTeams && criteria.workTeams.length && !usersSet.size) throw new Error("The selected work teams have no members");
+  const c = { ...criteria, users: Array.from(usersSet), interval: dateWindow.interval, group, teamMembers };
+
+  // Details jobs also return conversations that only overlap the interval; each belongs to the window it started in
+  const from = dateWindow.start.getTime(), to = dateWindow.end.getTime();
+  const rows = (await runConversationDetailsJobs(c, control, onProgress, warnings))
+    .filter(r => { const t = Date.parse(r.conversationStart); return t >= from && t < to; });
+  let hits = mapDetailsToHits(rows, c.agentAttribution);
+  counts.analytics = hits.length;
+
+  if (c.direction && c.direction !== "both") hits = hits.filter(h => !h.direction || h.direction === c.direction);
+  if (c.languages.length) hits = hits.filter(h => h.language && c.languages.includes(h.language));
+  if (c.skills.length) hits = hits.filter(h => h.skills.some(id => c.skills.includes(id)));
+  if (c.wrapUpCodes.length) hits = hits.filter(h => h.wrapUpCode && c.wrapUpCodes.includes(h.wrapUpCode));
+  if (typeof c.minDurationSec === "number") hits = hits.filter(h => typeof h.durationSec === "number" && h.durationSec >= c.minDurationSec);
+  if (typeof c.maxDurationSec === "number") hits = hits.filter(h => typeof h.durationSec === "number" && h.durationSec <= c.maxDurationSec);
+  if (c.users.length) hits = hits.filter(h => h.agentId && c.users.includes(h.agentId));
+  if (c.queues.length) hits = hits.filter(h => !h.queueId || c.queues.includes(h.queueId));
+  counts.filtered = hits.length;
+
+  if (group){
+    const staMatches = new Map();
+    for (const node of staSubtrees(group)){
+      const matches = await transcriptSearch(c.interval, compileTranscriptClause(node), { label: "Transcript search for criteria groups", control, onProgress, warnings });
+      staMatches.set(node.id, new Set(matches.keys()));
+    }
+    hits = hits.filter(h => matchesGroup(group, h, { teamMembers, staMatches }));
+    counts.group = hits.length;
+  }
+
+  if (c.useAdvanced && (c.useSentiment || c.useTopics || c.useCategories)){
+    const staIds = await transcriptSearchConversationIds(c, { control, onProgress, warnings });
+    hits = hits.filter(h => staIds.has(h.conversationId)).map(h => ({ ...h, sentimentScore: staIds.get(h.conversationId) }));
+    counts.sta = hits.length;
+  }
+
+  return { hits, counts, dateWindow, warnings };
+}
+
+// -------------------- Existing evaluations --------------------
+/*
+ * Looks up evaluations already created for the candidate agents in the search
+ * period and keeps those on the selected form (any version of it), so a
+ * policy run twice doesn't score the same conversations twice.
+ */
+function onForm(ev, form){
+  const f = ev && ev.evaluationForm;
+  return !!f && (f.id === form.id || (!!form.contextId && f.contextId === form.contextId));
+}
+
+export async function fetchExistingEvaluations(hits, interval, form, onProgress){
+  const agentIds = Array.from(new Set(hits.map(h => h.agentId).filter(Boolean)));
+  const [startTime, endTime] = interval.split("/");
+  const sameForm = (ev) => onForm(ev, form);
+  const evaluated = new Set(); // hitKey of each conversation + agent already evaluated
+  const countsByAgent = {};
+  const truncated = [];
+  const chunkSize = 5;
+  for (let i=0; i<agentIds.length; i+=chunkSize){
+    const chunk = agentIds.slice(i, i+chunkSize);
+    const lists = await Promise.all(chunk.map(agentUserId => getAllPages("/api/v2/quality/evaluations/query", { agentUserId, startTime, endTime, pageSize: 100 })));
+    chunk.forEach((agentId, idx) => {
+      if (lists[idx].truncated) truncated.push(agentId);
+      const evals = lists[idx].filter(sameForm);
+      countsByAgent[agentId] = evals.length;
+      evals.forEach(ev => { if (ev.conversation && ev.conversation.id) evaluated.add(hitKey({ conversationId: ev.conversation.id, agentId })); });
+    });
+    if (onProgress) onProgress(`Checked existing evaluations for ${Math.min(i + chunkSize, agentIds.length)} of ${agentIds.length} agents…`);
+  }
+  const warnings = truncated.length
+    ? [`Existing evaluations for ${truncated.length} agent(s) stopped at the page limit (${truncated.join(", ")}). Older evaluations beyond it were not checked, so some conversations may be evaluated twice.`]
+    : [];
+  return { formId: form.id, evaluated, countsByAgent, warnings };
+}
+
+/**
+ * Re-checks a plan that was not sampled here just now (an imported file may
+ * be days old, or already run once) against the evaluations that exist
+ * today. Items whose conversation and agent already have an evaluation on
+ * the item's form are left out. Returns { plan, skipped }.
+ */
+export async function dropEvaluatedItems(plan, forms = [], onProgress){
+  const conversationIds = Array.from(new Set(plan.items.map(it => it.conversationId)));
+  const byConversation = new Map();
+  const chunkSize = 5;
+  for (let i=0; i<conversationIds.length; i+=chunkSize){
+    const chunk = conversationIds.slice(i, i+chunkSize);
+    const lists = await Promise.all(chunk.map(conversationId => getAllPages("/api/v2/quality/evaluations/query", { conversationId, pageSize: 100 })));
+    chunk.forEach((conversationId, idx) => byConversation.set(conversationId, lists[idx]));
+    if (onProgress) onProgress(`Checked existing evaluations for ${Math.min(i + chunkSize, conversationIds.length)} of ${conversationIds.length} conversations…`);
+  }
+  const items = [];
+  const skipped = [];
+  plan.items.forEach(item => {
+    const form = forms.find(f => f.id === item.formId) || { id: item.formId };
+    const found = byConversation.get(item.conversationId).find(ev => ev.agent && ev.agent.id === item.agentId && onForm(ev, form));
+    if (found) skipped.push({ conversationId: item.conversationId, agentId: item.agentId, evaluationId: found.id });
+    else items.push(item);
+  });
+  return { plan: { ...plan, items }, skipped };
+}
+
+// Excludes (or flags) already-evaluated conversations and, optionally, agents already at quota
+function applyExistingGuard(hits, existing, rules){
+  const result = { hits: [], removedExisting: 0, flaggedExisting: 0, removedQuota: 0, agentsAtQuota: [] };
+  if (!existing) { result.hits = hits; return result; }
+  const atQuota = new Set();
+  if (rules.skipAgentsAtQuota && rules.mode === "byAgent") {
+    Object.entries(existing.countsByAgent).forEach(([agentId, n]) => { if (n >= rules.perAgentTarget) atQuota.add(agentId); });
+  }
+  result.agentsAtQuota = Array.from(atQuota);
+  hits.forEach(h => {
+    if (existing.evaluated.has(hitKey(h))) {
+      if (rules.existingEvalPolicy === "flag") { result.flaggedExisting++; result.hits.push({ ...h, alreadyEvaluated: true }); }
+      else result.removedExisting++;
+      return;
+    }
+    if (atQuota.has(h.agentId)) { result.removedQuota++; return; }
+    result.hits.push(h);
+  });
+  return result;
+}
+
+// -------------------- Evaluator workload --------------------
+const OPEN_EVALUATION_STATES = ["PENDING", "INPROGRESS"];
+
+// Open (pending + in progress) evaluation count per evaluator; only `total` is read
+export async function fetchEvaluatorWorkload(evaluatorIds, onProgress){
+  const openByEvaluator = {};
+  for (const [i, evaluatorUserId] of evaluatorIds.entries()){
+    const totals = await Promise.all(OPEN_EVALUATION_STATES.map(async (evaluationState) => {
+      const qs = new URLSearchParams({ evaluatorUserId, evaluationState, pageSize: "1", pageNumber: "1" });
+      const res = await apiFetch(`/api/v2/quality/evaluations/query?${qs}`);
+      return (res && res.total) || 0;
+    }));
+    openByEvaluator[evaluatorUserId] = totals.reduce((a, b) => a + b, 0);
+    if (onProgress) onProgress(`Loaded open evaluations for ${i + 1} of ${evaluatorIds.length} evaluators…`);
+  }
+  return openByEvaluator;
+}
+
+// userId -> array of work team ids, for every team in the org
+// Team id lists per user, a few teams at a time so large orgs don't trip the rate limit
+export async function fetchTeamMembership(teamIds, warnings = [], onProgress){
+  const teamsByUser = {};
+  const truncated = [];
+  const chunkSize = 5;
+  for (let i=0; i<teamIds.length; i+=chunkSize){
+    const chunk = teamIds.slice(i, i+chunkSize);
+    const lists = await Promise.all(chunk.map(fetchTeamMembers));
+    chunk.forEach((teamId, idx) => {
+      if (lists[idx].truncated) truncated.push(teamId);
+      lists[idx].forEach(userId => { (teamsByUser[userId] = teamsByUser[userId] || []).push(teamId); });
+    });
+    if (onProgress) onProgress(`Loaded members of ${Math.min(i + chunkSize, teamIds.length)} of ${teamIds.length} work teams…`);
+  }
+  if (truncated.length) warnings.push(`Membership of ${truncated.length} work team(s) is incomplete (${truncated.join(", ")}); evaluators missing from it may be treated as outside the agent's team.`);
+  return teamsByUser;
+}
+
+// -------------------- Sample preparation --------------------
+/**
+ * Loads what sampling needs beyond the search hits: existing evaluations on
+ * the form (`existing` is reused when it is already for that form), STA
+ * sentiment for sentiment-weighted sampling, evaluator workload and, with
+ * `preferOutsideTeam`, work team membership. Returns { existing, hits,
+ * workload, warnings }; the warnings name lists cut short by a page limit.
+ */
+export async function prepareSample({ hits, dateWindow, rules, forms = [], workTeamIds = [], existing = null, onProgress }){
+  let ex = existing;
+  if (!ex || ex.formId !== rules.evalFormId) {
+    if (onProgress) onProgress("Checking existing evaluations…");
+    const form = forms.find(f => f.id === rules.evalFormId) || { id: rules.evalFormId };
+    ex = await fetchExistingEvaluations(hits, dateWindow.interval, form, onProgress);
+  }
+  let scored = hits;
+  if (rules.mode === "weighted" && rules.weightBy === "negativeSentiment") scored = await fetchSentimentScores(hits, onProgress);
+  const warnings = [...(ex.warnings || [])];
+  const workload = { openByEvaluator: await fetchEvaluatorWorkload(rules.evaluatorIds, onProgress) };
+  if (rules.preferOutsideTeam && !workTeamIds.length) {
+    warnings.push("No work teams could be loaded, so evaluators were assigned without regard to the agent's team.");
+  } else if (rules.preferOutsideTeam) {
+    if (onProgress) onProgress("Loading work team membership…");
+    workload.teamsByUser = await fetchTeamMembership(workTeamIds, warnings, onProgress);
+  }
+  return { existing: ex, hits: scored, workload, warnings };
+}
+
+// -------------------- Sampling --------------------
+function groupBy(arr, key){
+  return arr.reduce((acc, item) => {
+    const k = item[key] || "unknown";
+    if (!acc[k]) acc[k] = [];
+    acc[k].push(item);
+    return acc;
+  }, {});
+}
+
+// Deterministic RNG (mulberry32) seeded from any string, so a seed reproduces a sample for audit
+export function seededRandom(seed){
+  let h = 1779033703 ^ String(seed).length;
+  for (let i=0; i<String(seed).length; i++){
+    h = Math.imul(h ^ String(seed).charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  return function(){
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function newSeed(){ return String(Math.floor(Math.random() * 1e9)); }
+
+function shuffle(arr, rng = Math.random){
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--){
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// Weighted sampling without replacement (Efraimidis–Spirakis: key = u^(1/w))
+export function weightedSample(arr, count, weightOf, rng = Math.random){
+  return arr
+    .map(item => ({ item, key: Math.pow(rng(), 1 / Math.max(weightOf(item), 1e-6)) }))
+    .sort((a, b) => b.key - a.key)
+    .slice(0, count)
+    .map(x => x.item);
+}
+
+// Splits `total` across groups proportionally to their size, with a per-group minimum
+export function allocateStrata(sizes, total, minimum){
+  const keys = Object.keys(sizes);
+  const alloc = {};
+  keys.forEach(k => { alloc[k] = Math.min(sizes[k], minimum); });
+  let remaining = total - keys.reduce((n, k) => n + alloc[k], 0);
+  if (remaining <= 0) return alloc;
+  const spare = keys.map(k => ({ k, room: sizes[k] - alloc[k] })).filter(x => x.room > 0);
+  const spareTotal = spare.reduce((n, x) => n + x.room, 0);
+  const shares = spare.map(x => {
+    const exact = Math.min(x.room, remaining * x.room / spareTotal);
+    return { ...x, whole: Math.floor(exact), frac: exact - Math.floor(exact) };
+  });
+  shares.forEach(x => { alloc[x.k] += x.whole; remaining -= x.whole; });
+  shares.sort((a, b) => b.frac - a.frac);
+  for (const x of shares){
+    if (remaining <= 0) break;
+    if (alloc[x.k] < sizes[x.k]) { alloc[x.k]++; remaining--; }
+  }
+  return alloc;
+}
+
+// sentimentScore is -1..1 whichever API it came from
+function negativity(h){
+  return typeof h.sentimentScore === "number" ? Math.max(0, -h.sentimentScore) : 0;
+}
+
+export const STRATA_KEYS = { queueId: "Queue", wrapUpCode: "Wrap-up code", mediaType: "Media type" };
+export const WEIGHT_BY = {
+  negativeSentiment: { label: "Negative sentiment", weight: (h) => 1 + 4 * negativity(h) },
+  duration: { label: "Long duration", weight: (h) => 1 + (h.durationSec || 0) / 60 },
+};
+
+/*
+ * Sampling strategies for the Evaluation Rules step. Each mode picks from the
+ * candidate pool with the given rng and tags rows with a `samplingReason`.
+ */
+export const SAMPLING_MODES = {
+  byAgent: {
+    label: "By agent (X per agent)",
+    valid: (r) => r.perAgentTarget > 0,
+    describe: (r) => `By agent (${r.perAgentTarget} each)`,
+    sample: (pool, r, rng) => Object.values(groupBy(pool, "agentId")).flatMap(rows => {
+      const picked = shuffle(rows, rng).slice(0, r.perAgentTarget);
+      return picked.map(h => ({ ...h, samplingReason: `byAgent: ${picked.length} of ${rows.length} for this agent` }));
+    })
+  },
+  percentPerAgent: {
+    label: "Percentage of volume per agent",
+    valid: (r) => r.perAgentPercent > 0 && r.perAgentPercent <= 100,
+    describe: (r) => `${r.perAgentPercent}% of each agent's volume (min ${r.perAgentMin})`,
+    sample: (pool, r, rng) => Object.values(groupBy(pool, "agentId")).flatMap(rows => {
+      const n = Math.min(rows.length, Math.max(r.perAgentMin || 0, Math.ceil(rows.length * r.perAgentPercent / 100)));
+      return shuffle(rows, rng).slice(0, n).map(h => ({ ...h, samplingReason: `percentPerAgent: ${n} of ${rows.length} (${r.perAgentPercent}%) for this agent` }));
+    })
+  },
+  randomCount: {
+    label: "Random count (global)",
+    valid: (r) => r.randomTargetCount > 0,
+    describe: (r) => `Random count (${r.randomTargetCount})`,
+    sample: (pool, r, rng) => {
+      const picked = shuffle(pool, rng).slice(0, r.randomTargetCount);
+      return picked.map(h => ({ ...h, samplingReason: `randomCount: ${picked.length} of ${pool.length} candidates` }));
+    }
+  },
+  stratified: {
+    label: "Stratified (queue / wrap-up / media type)",
+    valid: (r) => !!STRATA_KEYS[r.strataKey] && r.randomTargetCount > 0 && r.strataMin >= 0,
+    describe: (r) => `Stratified by ${STRATA_KEYS[r.strataKey]} (${r.randomTargetCount} total, min ${r.strataMin} per stratum)`,
+    sample: (pool, r, rng) => {
+      const strata = groupBy(pool, r.strataKey);
+      const sizes = Object.fromEntries(Object.entries(strata).map(([k, rows]) => [k, rows.length]));
+      const alloc = allocateStrata(sizes, r.randomTargetCount, r.strataMin);
+      return Object.entries(strata).flatMap(([k, rows]) => shuffle(rows, rng).slice(0, alloc[k])
+        .map(h => ({ ...h, samplingReason: `stratified: ${alloc[k]} of ${rows.length} in ${STRATA_KEYS[r.strataKey]} ${k}` })));
+    }
+  },
+  weighted: {
+    label: "Weighted random (sentiment / duration)",
+    valid: (r) => !!WEIGHT_BY[r.weightBy] && r.randomTargetCount > 0,
+    describe: (r) => `Weighted toward ${WEIGHT_BY[r.weightBy].label.toLowerCase()} (${r.randomTargetCount})`,
+    sample: (pool, r, rng) => {
+      const { label, weight } = WEIGHT_BY[r.weightBy];
+      return weightedSample(pool, r.randomTargetCount, weight, rng)
+        .map(h => ({ ...h, samplingReason: `weighted: ${label.toLowerCase()} (weight ${weight(h).toFixed(2)})` }));
+    }
+  },
+};
+
+export function rulesAreValid(rules){
+  const mode = SAMPLING_MODES[rules.mode];
+  return !!(mode && mode.valid(rules) && rules.evalFormId && rules.evaluatorIds.length > 0);
+}
+
+// Conversations without an agent can't be evaluated, so they never enter the pool.
+// The pool is sorted by id so the same seed gives the same sample regardless of API order.
+/**
+ * `overrides.banned` hits (by hitKey) never enter the pool. `overrides.pinned`
+ * ones skip the existing-evaluation guard and the sampler and are added on
+ * top of the sample (when they have an agent).
+ */
+export function samplePool(hits, rules, existing, overrides = { pinned: [], banned: [] }){
+  const banned = new Set(overrides.banned || []);
+  const pinnedIds = new Set((overrides.pinned || []).filter(id => !banned.has(id)));
+  const candidates = hits.filter(h => !banned.has(hitKey(h)));
+  const pinned = candidates.filter(h => pinnedIds.has(hitKey(h)) && h.agentId).map(h => ({ ...h, samplingReason: "Pinned by reviewer" }));
+  const guard = applyExistingGuard(candidates.filter(h => !pinnedIds.has(hitKey(h))), existing, rules);
+  const pool = guard.hits.filter(h => h.agentId).sort((a, b) => hitKey(a) < hitKey(b) ? -1 : hitKey(a) > hitKey(b) ? 1 : 0);
+  const seed = rules.seed || newSeed();
+  const mode = SAMPLING_MODES[rules.mode];
+  if (!mode) throw new Error(`Unknown sampling mode ${rules.mode}`);
+  const sampled = [...pinned, ...mode.sample(pool, rules, seededRandom(seed))];
+  return {
+    seed,
+    totalCandidates: pool.length + pinned.length,
+    pinned: pinned.length,
+    banned: hits.length - candidates.length,
+    skippedNoAgent: guard.hits.length - pool.length,
+    removedExisting: guard.removedExisting,
+    flaggedExisting: guard.flaggedExisting,
+    removedQuota: guard.removedQuota,
+    agentsAtQuota: guard.agentsAtQuota,
+    totalSampled: sampled.length,
+    sampled,
+    sampledByAgent: groupBy(sampled, "agentId")
+  };
+}
+
+// -------------------- Evaluation plan --------------------
+export function labelOf(list, id){
+  if (!id) return "—";
+  return (list.find(o => o.id === id)?.label) || id;
+}
+/*
+ * A plan is the full list of evaluations a run would create. It is built
+ * without any write calls, can be exported as JSON/CSV for approval and
+ * imported again later; Execute always runs from a plan.
+ */
+const PLAN_TYPE = "qm-evaluation-plan";
+const PLAN_VERSION = 1;
+const PLAN_COLUMNS = ["conversationId", "startTime", "agentId", "agentName", "evaluatorId", "evaluatorName", "formId", "formName", "matchedCriteria", "samplingReason", "warning"];
+
+/*
+ * Assigns each sampled conversation to the evaluator with the lowest
+ * weighted load ((open + assigned) / weight). An agent is never assigned
+ * their own conversation, capped evaluators stop receiving work once
+ * open + assigned reaches their cap, and with `preferOutsideTeam` evaluators
+ * sharing a work team with the agent are only used when nobody else is left.
+ */
+export function assignEvaluators(sampled, rules, workload = {}){
+  const pool = rules.evaluatorIds || [];
+  if (!pool.length) throw new Error("No evaluators selected");
+  const settings = rules.evaluatorSettings || {};
+  const openByEvaluator = workload.openByEvaluator || {};
+  const teamsByUser = workload.teamsByUser || {};
+  const distribution = {};
+  pool.forEach(id => {
+    const s = settings[id] || {};
+    distribution[id] = {
+      evaluatorId: id,
+      open: openByEvaluator[id] || 0,
+      assigned: 0,
+      cap: typeof s.cap === "number" ? s.cap : undefined,
+      weight: s.weight > 0 ? s.weight : 1
+    };
+  });
+  const load = (d) => (d.open + d.assigned) / d.weight;
+  const hasRoom = (d) => d.cap === undefined || d.open + d.assigned < d.cap;
+  const sharesTeam = (evaluatorId, agentId) => (teamsByUser[agentId] || []).some(t => (teamsByUser[evaluatorId] || []).includes(t));
+
+  const assignments = [];
+  const unassigned = [];
+  sampled.forEach(convo => {
+    let candidates = pool.map(id => distribution[id]).filter(d => d.evaluatorId !== convo.agentId && hasRoom(d));
+    let note = "";
+    if (rules.preferOutsideTeam && candidates.length) {
+      const outside = candidates.filter(d => !sharesTeam(d.evaluatorId, convo.agentId));
+      if (outside.length) candidates = outside;
+      else note = "Only evaluators from the agent's own team were available";
+    }
+    if (!candidates.length) {
+      unassigned.push({ convo, reason: "No evaluator available (self-evaluation or capacity)" });
+      return;
+    }
+    const best = candidates.reduce((a, b) => (load(b) < load(a) ? b : a));
+    best.assigned++;
+    assignments.push({ convo, evaluatorId: best.evaluatorId, note });
+  });
+  return { assignments, unassigned, distribution: pool.map(id => distribution[id]) };
+}
+
+// Describes which of the active criteria dimensions this conversation matched on
+function describeMatch(hit, criteria, lookups, dateWindow){
+  const parts = [`${criteria.mediaType} ${dateWindow ? dateWindow.interval : ""}`.trim()];
+  if (criteria.direction !== "both") parts.push(`direction=${hit.direction || criteria.direction}`);
+  if (hit.agentCount > 1) parts.push(`agents=${hit.agentCount} (${(AGENT_ATTRIBUTION[criteria.agentAttribution] || "").toLowerCase()})`);
+  if (criteria.queues.length) parts.push(`queue=${labelOf(lookups.queues, hit.queueId)}`);
+  if (criteria.users.length || criteria.workTeams.length) parts.push(`agent=${labelOf(lookups.users, hit.agentId)}`);
+  if (criteria.wrapUpCodes.length) parts.push(`wrapUp=${labelOf(lookups.wrapUps, hit.wrapUpCode)}`);
+  if (criteria.skills.length) parts.push(`skills=${(hit.skills || []).filter(id => criteria.skills.includes(id)).map(id => labelOf(lookups.skills, id)).join("|")}`);
+  if (criteria.languages.length) parts.push(`language=${labelOf(lookups.languages, hit.language)}`);
+  if (typeof criteria.minDurationSec === "number" || typeof criteria.maxDurationSec === "number") parts.push(`duration=${hit.durationSec}s`);
+  if (pruneGroup(criteria.group)) parts.push("criteria groups");
+  if (criteria.useAdvanced && (criteria.useSentiment || criteria.useTopics || criteria.useCategories)) parts.push("STA transcript match");
+  return parts.join("; ");
+}
+
+export function buildPlan({ preview, rules, criteria, lookups, me, workload, dateWindow, overrides, searchWarnings = [] }){
+  const formName = labelOf(lookups.forms, rules.evalFormId);
+  const { assignments, unassigned, distribution } = assignEvaluators(preview.sampled, rules, workload);
+  const items = assignments.map(({ convo, evaluatorId, note }) => ({
+    conversationId: convo.conversationId,
+    startTime: convo.startTime,
+    agentId: convo.agentId,
+    agentName: labelOf(lookups.users, convo.agentId),
+    evaluatorId,
+    evaluatorName: labelOf(lookups.evaluators, evaluatorId),
+    formId: rules.evalFormId,
+    formName,
+    matchedCriteria: describeMatch(convo, criteria, lookups, dateWindow),
+    samplingReason: convo.samplingReason || "",
+    warning: [convo.alreadyEvaluated ? "Already evaluated with this form" : "", note].filter(Boolean).join("; ")
+  }));
+  return {
+    type: PLAN_TYPE,
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    createdBy: me ? { id: me.id, name: me.name } : null,
+    totalCandidates: preview.totalCandidates,
+    seed: preview.seed,
+    interval: dateWindow ? dateWindow.interval : undefined,
+    criteria,
+    rules,
+    overrides,
+    searchWarnings,
+    distribution,
+    unassigned: unassigned.map(({ convo, reason }) => ({ conversationId: convo.conversationId, agentId: convo.agentId, reason })),
+    items
+  };
+}
+
+export function validatePlan(plan){
+  if (!plan || !Array.isArray(plan.items)) throw new Error("Not an evaluation plan: missing items");
+  if (plan.type && plan.type !== PLAN_TYPE) throw new Error(`Not an evaluation plan: type ${plan.type}`);
+  if (plan.version && plan.version > PLAN_VERSION) throw new Error(`Plan version ${plan.version} is newer than this app supports (${PLAN_VERSION})`);
+  plan.items.forEach((it, idx) => {
+    ["conversationId", "agentId", "evaluatorId", "formId"].forEach(k => {
+      if (!it[k]) throw new Error(`Plan item ${idx + 1} is missing ${k}`);
+    });
+  });
+  const ids = new Set();
+  plan.items.forEach(it => {
+    if (ids.has(hitKey(it))) throw new Error(`Conversation ${it.conversationId} appears twice in the plan for agent ${it.agentId}`);
+    ids.add(hitKey(it));
+  });
+  return plan;
+}
+
+function csvCell(v){
+  const str = v === undefined || v === null ? "" : String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(rows, columns){
+  return [columns.join(","), ...rows.map(r => columns.map(c => csvCell(r[c])).join(","))].join("\r\n");
+}
+
+function parseCsv(text){
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i=0; i<text.length; i++){
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i+1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i+1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  const [header, ...body] = rows.filter(r => r.some(c => c !== ""));
+  if (!header) return [];
+  return body.map(r => Object.fromEntries(header.map((h, i) => [h.trim(), r[i] ?? ""])));
+}
+
+export function planToCsv(plan){ return toCsv(plan.items, PLAN_COLUMNS); }
+
+export function planFromFile(name, text){
+  if (/\.csv$/i.test(name)) return validatePlan({ type: PLAN_TYPE, version: PLAN_VERSION, importedFrom: name, items: parseCsv(text) });
+  let parsed;
+  try { parsed = JSON.parse(text); } catch (e) { throw new Error(`${name} is not valid JSON`); }
+  return validatePlan(parsed);
+}
+
+
+// -------------------- Evaluations --------------------
+async function createEvaluation(item){
+  return apiFetch(`/api/v2/quality/conversations/${item.conversationId}/evaluations`, {
+    method: "POST",
+    body: JSON.stringify({
+      evaluationForm: { id: item.formId },
+      evaluator: { id: item.evaluatorId },
+      agent: { id: item.agentId }
+    })
+  });
+}
+
+// Used on resume for items that were in flight when the run stopped
+async function findExistingEvaluation(item){
+  const qs = new URLSearchParams({ conversationId: item.conversationId, pageSize: "25", pageNumber: "1" });
+  const res = await apiFetch(`/api/v2/quality/evaluations/query?${qs}`);
+  return ((res && res.entities) || []).find(ev => ev.evaluator && ev.evaluator.id === item.evaluatorId && ev.agent && ev.agent.id === item.agentId && ev.evaluationForm && ev.evaluationForm.id === item.formId);
+}
+
+// -------------------- Job journal --------------------
+/*
+ * Every execution is recorded in localStorage item by item, so a run that is
+ * interrupted (token expiry, closed tab, 429 storm) can be resumed after
+ * re-login without creating duplicates.
+ */
+const JOURNAL_KEY = "qpw_journal";
+
+export function loadJournal(){
+  try { return JSON.parse(local.getItem(JOURNAL_KEY) || "null"); }
+  catch (e) { return null; }
+}
+export function saveJournal(journal){ local.setItem(JOURNAL_KEY, JSON.stringify(journal)); }
+
+// `meta` carries the scheduled policy slice (if any) the run covers and the audit snapshot
+export function newJournal(plan, meta = {}){
+  return {
+    id: `run-${Date.now()}`,
+    startedAt: new Date().toISOString(),
+    status: "running",
+    message: "",
+    seed: plan.seed,
+    policyId: meta.policyId,
+    slice: meta.slice,
+    audit: meta.audit,
+    items: plan.items.map(it => ({ ...it, status: "pending", attempts: 0 }))
+  };
+}
+
+export function journalCounts(journal){
+  const counts = { total: journal.items.length, pending: 0, creating: 0, created: 0, failed: 0 };
+  journal.items.forEach(it => { counts[it.status] = (counts[it.status] || 0) + 1; });
+  return counts;
+}
+
+export function isResumable(journal){
+  if (!journal || journal.status === "done" || journal.status === "cancelled") return false;
+  return journal.items.some(it => it.status === "pending" || it.status === "creating");
+}
+
+/**
+ * Works through the journal's pending items with a small worker pool.
+ * `control` is a mutable { paused, cancelled } object owned by the UI;
+ * `onChange` receives a fresh snapshot after every item update.
+ * A 401 stops the run as "interrupted" so it can be resumed after re-login.
+ */
+export async function runJournal(journal, control, onChange){
+  const emit = () => { saveJournal(journal); onChange({ ...journal, items: journal.items.map(it => ({ ...it })) }); };
+  journal.status = "running";
+  journal.message = "";
+  emit();
+
+  // Items left "creating" by an interrupted run may already exist
+  for (const item of journal.items.filter(it => it.status === "creating")){
+    const found = await findExistingEvaluation(item).catch(() => null);
+    Object.assign(item, found ? { status: "created", evaluationId: found.id } : { status: "pending" });
+  }
+  emit();
+
+  const queue = journal.items.filter(it => it.status === "pending");
+  let halted = "";
+  async function worker(){
+    while (queue.length && !control.cancelled && !halted){
+      if (control.paused) {
+        if (journal.status !== "paused") { journal.status = "paused"; emit(); }
+        await sleep(250);
+        continue;
+      }
+      if (journal.status !== "running") { journal.status = "running"; emit(); }
+      const item = queue.shift();
+      item.status = "creating";
+      item.attempts++;
+      emit();
+      try {
+        const evaluation = await createEvaluation(item);
+        Object.assign(item, { status: "created", evaluationId: evaluation && evaluation.id, error: "" });
+      } catch (e) {
+        if (e.status === 401) {
+          item.status = "pending";
+          halted = "Session expired. Sign in again to resume this run.";
+        } else {
+          Object.assign(item, { status: "failed", error: String(e && e.message ? e.message : e) });
+        }
+      }
+      emit();
+    }
+  }
+  const concurrency = 5;
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  if (halted) Object.assign(journal, { status: "interrupted", message: halted });
+  else if (control.cancelled) Object.assign(journal, { status: "cancelled", message: "Cancelled; remaining items were not created." });
+  else Object.assign(journal, { status: "done", finishedAt: new Date().toISOString() });
+  emit();
+  return journal;
+}
+
+// -------------------- Run history --------------------
+/*
+ * Each executed run leaves an audit record in localStorage: who ran it, the
+ * policy/criteria/rules snapshot, seed, candidate count, sampled ids, the
+ * evaluation ids created and any failures. Evaluation status and scores are
+ * refreshed on demand from the quality API.
+ */
+const RUNS_KEY = "qpw_runs";
+const RUN_FILE_TYPE = "qm-run-audit";
+const RUN_VERSION = 1;
+const RUN_COLUMNS = ["runId", "startedAt", "finishedAt", "ranBy", "policy", "seed", "interval", "totalCandidates", "conversationId", "agentId", "agentName", "evaluatorId", "evaluatorName", "formId", "formName", "evaluationId", "outcome", "state", "score", "criticalScore", "checkedAt", "error"];
+
+export function loadRuns(){
+  try { return JSON.parse(local.getItem(RUNS_KEY) || "[]"); }
+  catch (e) { return []; }
+}
+export function saveRuns(runs){ local.setItem(RUNS_KEY, JSON.stringify(runs)); }
+
+// What the journal doesn't already hold; taken when the run starts
+export function auditSnapshot(plan, me, policy){
+  return {
+    ranBy: me ? { id: me.id, name: me.name } : null,
+    policy: policy ? { id: policy.id, name: policy.name, updatedAt: policy.updatedAt } : null,
+    planCreatedBy: plan.createdBy || null,
+    importedFrom: plan.importedFrom,
+    interval: plan.interval,
+    totalCandidates: plan.totalCandidates,
+    criteria: plan.criteria,
+    rules: plan.rules,
+    overrides: plan.overrides,
+    searchWarnings: plan.searchWarnings || [],
+    unassigned: plan.unassigned || []
+  };
+}
+
+// Builds the audit record for a journal, keeping statuses already tracked
+function runRecord(journal, previous){
+  const { unassigned = [], ...audit } = journal.audit || {};
+  const tracked = new Map(((previous && previous.evaluations) || []).map(ev => [ev.evaluationId, ev]));
+  const pick = (it) => ({ conversationId: it.conversationId, startTime: it.startTime, agentId: it.agentId, agentName: it.agentName, evaluatorId: it.evaluatorId, evaluatorName: it.evaluatorName, formId: it.formId, formName: it.formName });
+  return {
+    id: journal.id,
+    startedAt: journal.startedAt,
+    finishedAt: journal.finishedAt,
+    status: journal.status,
+    message: journal.message,
+    ...audit,
+    seed: journal.seed,
+    sampledIds: [...journal.items.map(it => it.conversationId), ...unassigned.map(u => u.conversationId)],
+    unassigned,
+    evaluations: journal.items.filter(it => it.evaluationId).map(it => ({ ...pick(it), evaluationId: it.evaluationId, ...(tracked.get(it.evaluationId) || {}) })),
+    failures: journal.items.filter(it => it.status === "failed").map(it => ({ ...pick(it), error: it.error, attempts: it.attempts })),
+    notCreated: journal.items.filter(it => it.status === "pending" || it.status === "creating").map(it => it.conversationId),
+    lastChecked: previous && previous.lastChecked
+  };
+}
+
+// Upserts the journal's record and returns the new history (newest first)
+export function recordRun(journal){
+  const runs = loadRuns();
+  const i = runs.findIndex(r => r.id === journal.id);
+  const record = runRecord(journal, i >= 0 ? runs[i] : null);
+  const next = i >= 0 ? runs.map((r, j) => (j === i ? record : r)) : [record, ...runs];
+  saveRuns(next);
+  return next;
+}
+
+const EVALUATION_STATES = { PENDING: "pending", INPROGRESS: "in progress", FINISHED: "finished" };
+
+async function fetchEvaluationStatus(ev){
+  const res = await apiFetch(`/api/v2/quality/conversations/${ev.conversationId}/evaluations/${ev.evaluationId}`);
+  const state = res.releaseDate ? "released" : EVALUATION_STATES[res.status] || String(res.status || "unknown").toLowerCase();
+  const answers = res.answers || {};
+  return { state, score: answers.totalScore, criticalScore: answers.totalCriticalScore, changedDate: res.changedDate, checkedAt: new Date().toISOString(), statusError: "" };
+}
+
+// Re-reads every evaluation of a run; an evaluation that is gone is marked "deleted"
+export async function refreshRunStatuses(run, onProgress){
+  const evaluations = run.evaluations.map(ev => ({ ...ev }));
+  const queue = [...evaluations];
+  let done = 0;
+  async function worker(){
+    while (queue.length){
+      const ev = queue.shift();
+      try { Object.assign(ev, await fetchEvaluationStatus(ev)); }
+      catch (e) {
+        if (e.status === 404) Object.assign(ev, { state: "deleted", checkedAt: new Date().toISOString(), statusError: "" });
+        else if (e.status === 401) throw e;
+        else ev.statusError = String(e && e.message ? e.message : e);
+      }
+      done++;
+      if (onProgress) onProgress(`Checked ${done} of ${evaluations.length} evaluations…`);
+    }
+  }
+  await Promise.all(Array.from({ length: 5 }, worker));
+  return { ...run, evaluations, lastChecked: new Date().toISOString() };
+}
+
+function runToRows(run){
+  const base = { runId: run.id, startedAt: run.startedAt, finishedAt: run.finishedAt, ranBy: run.ranBy ? run.ranBy.name : "", policy: run.policy ? run.policy.name : "", seed: run.seed, interval: run.interval, totalCandidates: run.totalCandidates };
+  return [
+    ...run.evaluations.map(ev => ({ ...base, ...ev, outcome: "created" })),
+    ...run.failures.map(f => ({ ...base, ...f, outcome: "failed" })),
+    ...run.notCreated.map(conversationId => ({ ...base, conversationId, outcome: "not created" })),
+    ...(run.unassigned || []).map(u => ({ ...base, conversationId: u.conversationId, agentId: u.agentId, outcome: "unassigned", error: u.reason }))
+  ];
+}
+export function runsToCsv(runs){ return toCsv(runs.flatMap(runToRows), RUN_COLUMNS); }
+export function runsToJson(runs){ return JSON.stringify({ type: RUN_FILE_TYPE, version: RUN_VERSION, exportedAt: new Date().toISOString(), runs }, null, 2); }
+
+// -------------------- Policies --------------------
+/*
+ * A policy is a named criteria set plus its evaluation rules, kept in
+ * localStorage. Exports are versioned JSON and carry a label snapshot so
+ * entities that were deleted since can still be named on import.
+ */
+const POLICIES_KEY = "qpw_policies";
+const POLICY_FILE_TYPE = "qm-policy";
+const POLICY_VERSION = 1;
+
+// Every id-bearing policy field and the lookup list it resolves through
+const POLICY_REFS = [
+  { section: "criteria", field: "queues", lookup: "queues", label: "Queue" },
+  { section: "criteria", field: "users", lookup: "users", label: "User" },
+  { section: "criteria", field: "workTeams", lookup: "workTeams", label: "Work team" },
+  { section: "criteria", field: "wrapUpCodes", lookup: "wrapUps", label: "Wrap-up code" },
+  { section: "criteria", field: "skills", lookup: "skills", label: "Skill" },
+  { section: "criteria", field: "languages", lookup: "languages", label: "Language" },
+  { section: "criteria", field: "includeTopics", lookup: "topics", label: "Topic" },
+  { section: "criteria", field: "excludeTopics", lookup: "topics", label: "Topic" },
+  { section: "criteria", field: "includeCategories", lookup: "categories", label: "Category" },
+  { section: "criteria", field: "excludeCategories", lookup: "categories", label: "Category" },
+  { section: "rules", field: "evalFormId", lookup: "forms", label: "Evaluation form" },
+  { section: "rules", field: "evaluatorIds", lookup: "evaluators", label: "Evaluator" },
+];
+
+function policyRefIds(policy, ref){
+  const v = policy[ref.section] && policy[ref.section][ref.field];
+  return Array.isArray(v) ? v : v ? [v] : [];
+}
+// Every id the policy references, including those inside criteria groups
+function policyRefs(policy){
+  const refs = [];
+  POLICY_REFS.forEach(ref => policyRefIds(policy, ref).forEach(id => refs.push({ field: ref.field, lookup: ref.lookup, label: ref.label, id })));
+  groupConditions(policy.criteria && policy.criteria.group).forEach(cond => {
+    const dim = GROUP_DIMENSIONS[cond.dimension];
+    if (dim && dim.lookup) cond.values.forEach(id => refs.push({ field: "group", lookup: dim.lookup, label: dim.label, id }));
+  });
+  return refs;
+}
+
+export function loadPolicies(){
+  try { return JSON.parse(local.getItem(POLICIES_KEY) || "[]"); }
+  catch (e) { return []; }
+}
+export function savePolicies(policies){ local.setItem(POLICIES_KEY, JSON.stringify(policies)); }
+
+function policyLabels(policy, lookups){
+  const labels = { ...(policy.labels || {}) };
+  policyRefs(policy).forEach(ref => {
+    const found = (lookups[ref.lookup] || []).find(o => o.id === ref.id);
+    if (found) labels[ref.id] = found.label;
+  });
+  return labels;
+}
+
+export function newPolicyId(){ return `pol-${Date.now()}-${Math.floor(Math.random() * 1e6)}`; }
+
+// Saving keeps the schedule and the last slice run; a copy passes no lastRun so it starts from its own first slice
+export function makePolicy({ id, name, criteria, rules, lookups, createdAt, schedule, lastRun }){
+  const now = new Date().toISOString();
+  const policy = { id: id || newPolicyId(), name, createdAt: createdAt || now, updatedAt: now, criteria, rules, schedule: schedule || null, lastRun: lastRun || null };
+  return { ...policy, labels: policyLabels(policy, lookups) };
+}
+
+/**
+ * Sorts the policy's ids that don't resolve through the lookups into
+ * `missing` (deleted, inactive or no access) and `unverified`. An id only
+ * counts as missing when its list, per `lookupStatus` (name -> { status,
+ * truncated }), loaded completely; otherwise it may just not be loaded.
+ */
+export function checkPolicyRefs(policy, lookups, lookupStatus = {}){
+  const missing = [];
+  const unverified = [];
+  policyRefs(policy).forEach(ref => {
+    if ((lookups[ref.lookup] || []).some(o => o.id === ref.id)) return;
+    const status = lookupStatus[ref.lookup];
+    const entry = { field: ref.field, kind: ref.label, id: ref.id, label: (policy.labels && policy.labels[ref.id]) || ref.id };
+    (status && status.status === "ready" && !status.truncated ? missing : unverified).push(entry);
+  });
+  return { missing, unverified };
+}
+
+export function exportPolicies(policies){
+  return JSON.stringify({ type: POLICY_FILE_TYPE, version: POLICY_VERSION, exportedAt: new Date().toISOString(), policies }, null, 2);
+}
+
+export function parsePolicyFile(text){
+  let parsed;
+  try { parsed = JSON.parse(text); } catch (e) { throw new Error("Policy file is not valid JSON"); }
+  if (!parsed || parsed.type !== POLICY_FILE_TYPE) throw new Error("Not a policy export file");
+  if (!parsed.version || parsed.version > POLICY_VERSION) throw new Error(`Unsupported policy file version ${parsed.version}`);
+  const policies = Array.isArray(parsed.policies) ? parsed.policies : [];
+  policies.forEach((p, idx) => {
+    if (!p.name || !p.criteria || !p.rules) throw new Error(`Policy ${idx + 1} is missing its name, criteria or rules`);
+  });
+  return policies;
+}
+
+// Fills fields added since the policy was saved
+export function hydratePolicy(policy){
+  return { ...policy, criteria: { ...defaultCriteria(), ...policy.criteria }, rules: { ...defaultRules(), ...policy.rules } };
+}
+
+/**
+ * Search, sample preparation, sampling and plan for a saved policy, as the
+ * Search, Rules and Review steps do in the UI. `interval` (ISO "start/end")
+ * and `seed` override the policy's own settings; `control` is passed on to
+ * analyticsSearch. Nothing is written.
+ */
+export async function planPolicyRun(policy, { interval, seed, lookups, me, onProgress, control }){
+  const hydrated = hydratePolicy(policy);
+  const criteria = interval ? { ...hydrated.criteria, dateMode: "iso", isoInterval: interval } : hydrated.criteria;
+  const rules = seed ? { ...hydrated.rules, seed } : hydrated.rules;
+  if (!rulesAreValid(rules)) throw new Error(`Policy "${policy.name}" has incomplete evaluation rules (mode, form or evaluators)`);
+  const search = await analyticsSearch(criteria, onProgress, control);
+  const { hits, counts, dateWindow } = search;
+  const prepared = await prepareSample({ hits, dateWindow, rules, forms: lookups.forms, workTeamIds: lookups.workTeams.map(t => t.id), onProgress });
+  const warnings = [...search.warnings, ...prepared.warnings];
+  const overrides = { pinned: [], banned: [] };
+  const preview = samplePool(prepared.hits, rules, prepared.existing, overrides);
+  const plan = buildPlan({ preview, rules, criteria, lookups, me, workload: prepared.workload, dateWindow, overrides, searchWarnings: warnings });
+  return { counts, dateWindow, warnings, preview, plan };
+}
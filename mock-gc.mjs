@@ -0,0 +1,391 @@
+/*********************
+ * In-memory Genesys Cloud org for development and tests (no network).
+ *
+ *   const org = createMockOrg({ seed: "demo" });
+ *   setTransport(createMockTransport(org, { rateLimitEvery: 7 }));
+ *
+ * The transport has fetch's signature and answers the endpoints core.mjs
+ * uses: users, routing, teams, authorization roles, analytics details jobs,
+ * STA topics/categories/transcript search and quality forms/evaluations,
+ * with the API's paging, 429s (Retry-After) and error responses.
+ *********************/
+import { seededRandom } from "./core.mjs";
+
+const QUEUE_NAMES = ["Sales", "Support", "Billing", "Retention", "Technical", "Collections"];
+const SKILL_NAMES = ["Spanish", "Escalations", "Premium", "Mortgages", "Hardware"];
+const LANGUAGE_NAMES = ["English", "Spanish", "French"];
+const WRAPUP_NAMES = ["Resolved", "Follow-up", "Complaint", "Sale", "Refund", "No answer"];
+const TOPIC_NAMES = ["Cancellation", "Price", "Greeting", "Empathy", "Escalation request"];
+const CATEGORY_NAMES = ["Compliance", "Churn risk", "Upsell"];
+const FIRST_NAMES = ["Ada", "Ben", "Cleo", "Dev", "Eli", "Fay", "Gus", "Hana", "Ivo", "Jo", "Kai", "Lea", "Max", "Noor", "Oli", "Pia"];
+const LAST_NAMES = ["Kim", "Lopez", "Singh", "Okafor", "Novak", "Berg", "Rossi", "Tan"];
+const MEDIA = [["voice", 0.6], ["chat", 0.15], ["message", 0.15], ["email", 0.1]];
+const EVALUATOR_PERMISSION = "quality:evaluation:editScore";
+
+function pad(n, width = 3){ return String(n).padStart(width, "0"); }
+
+/**
+ * Builds a deterministic org. Conversations start within the `days` before
+ * `now`; about one in five is transferred between two agents.
+ */
+export function createMockOrg({ seed = "mock", users = 24, evaluators = 4, teams = 3, conversations = 150, days = 14, now = Date.now() } = {}){
+  const rng = seededRandom(seed);
+  const pick = (list) => list[Math.floor(rng() * list.length)];
+  const pickWeighted = (pairs) => {
+    let u = rng();
+    for (const [value, w] of pairs) { if ((u -= w) < 0) return value; }
+    return pairs[pairs.length - 1][0];
+  };
+  const named = (prefix, names) => names.map((name, i) => ({ id: `${prefix}-${pad(i + 1, 2)}`, name }));
+
+  const org = {
+    me: { id: "user-me", name: "Quinn Lead", username: "quinn.lead@example.com", email: "quinn.lead@example.com", state: "active" },
+    users: [],
+    queues: named("queue", QUEUE_NAMES),
+    skills: named("skill", SKILL_NAMES),
+    languages: named("lang", LANGUAGE_NAMES),
+    wrapUpCodes: named("wrap", WRAPUP_NAMES),
+    topics: named("topic", TOPIC_NAMES),
+    categories: named("cat", CATEGORY_NAMES),
+    teams: [],
+    forms: [
+      { id: "form-voice-2", name: "Voice QA", contextId: "ctx-voice", published: true },
+      { id: "form-digital-1", name: "Digital QA", contextId: "ctx-digital", published: true }
+    ],
+    roles: [{ id: "role-evaluator", name: "QA Evaluator", permissions: [EVALUATOR_PERMISSION], userIds: [] }],
+    conversations: [],
+    transcripts: new Map(),
+    evaluations: [],
+    jobs: new Map(),
+    seq: 0
+  };
+
+  for (let i = 0; i < users; i++){
+    const name = `${FIRST_NAMES[i % FIRST_NAMES.length]} ${LAST_NAMES[Math.floor(i / FIRST_NAMES.length) % LAST_NAMES.length]}`;
+    const username = `${name.toLowerCase().replace(/ /g, ".")}${i >= FIRST_NAMES.length ? i : ""}@example.com`;
+    org.users.push({ id: `user-${pad(i + 1)}`, name, username, email: username, state: "active" });
+  }
+  org.users.push(org.me);
+  const agents = org.users.slice(evaluators, users);
+  org.roles[0].userIds = [org.me.id, ...org.users.slice(0, evaluators).map(u => u.id)];
+
+  for (let t = 0; t < teams; t++){
+    org.teams.push({ id: `team-${pad(t + 1, 2)}`, name: `Team ${String.fromCharCode(65 + t)}`, memberIds: agents.filter((_, i) => i % teams === t).map(u => u.id) });
+  }
+
+  const iso = (ms) => new Date(ms).toISOString();
+  const segment = (type, start, seconds, extra = {}) => ({ segmentType: type, segmentStart: iso(start), segmentEnd: iso(start + seconds * 1000), ...extra });
+
+  for (let c = 0; c < conversations; c++){
+    const conversationId = `conv-${pad(c + 1, 5)}`;
+    const start = Math.floor(now - days * 86400000 + rng() * days * 86400000);
+    const mediaType = pickWeighted(MEDIA);
+    const direction = mediaType === "voice" && rng() < 0.2 ? "outbound" : "inbound";
+    const queue = pick(org.queues);
+    const language = pick(org.languages);
+    const skills = rng() < 0.5 ? [pick(org.skills).id] : [];
+    const waitSec = 5 + Math.floor(rng() * 60);
+    const participants = [
+      { participantId: `${conversationId}-cust`, purpose: "customer", sessions: [{ mediaType, direction, segments: [segment("interact", start, 60 + Math.floor(rng() * 900))] }] },
+      { participantId: `${conversationId}-acd`, purpose: "acd", sessions: [{ mediaType, direction, segments: [segment("interact", start, waitSec, { queueId: queue.id, requestedLanguageId: language.id, requestedRoutingSkillIds: skills })] }] }
+    ];
+    let t = start + waitSec * 1000;
+    const handled = rng() < 0.2 ? 2 : 1;
+    for (let a = 0; a < handled; a++){
+      const agent = pick(agents);
+      const talk = 30 + Math.floor(rng() * 600);
+      const hold = rng() < 0.3 ? 10 + Math.floor(rng() * 90) : 0;
+      const segQueue = a === 0 ? queue : pick(org.queues);
+      const segments = [segment("alert", t, 5, { queueId: segQueue.id, requestedRoutingSkillIds: skills })];
+      t += 5000;
+      segments.push(segment("interact", t, talk, { queueId: segQueue.id }));
+      t += talk * 1000;
+      if (hold) { segments.push(segment("hold", t, hold, { queueId: segQueue.id })); t += hold * 1000; }
+      segments.push(segment("wrapup", t, 20, { queueId: segQueue.id, wrapUpCode: pick(org.wrapUpCodes).id }));
+      t += 20000;
+      participants.push({ participantId: `${conversationId}-agent${a + 1}`, purpose: "agent", userId: agent.id, sessions: [{ mediaType, direction, segments }] });
+    }
+    org.conversations.push({ conversationId, conversationStart: iso(start), conversationEnd: iso(t), originatingDirection: direction, participants });
+
+    if (mediaType !== "email" && rng() < 0.85) {
+      const topicIds = org.topics.filter(() => rng() < 0.3).map(x => x.id);
+      const categoryIds = org.categories.filter(() => rng() < 0.2).map(x => x.id);
+      // Transcript search reports sentiment as -100..100, the STA conversation endpoint as -1..1
+      org.transcripts.set(conversationId, { overallSentiment: Math.round((rng() * 2 - 1) * 100), topicIds, categoryIds });
+    }
+  }
+
+  // A few conversations are already evaluated, so the existing-evaluation guard has work to do
+  org.conversations.filter(() => rng() < 0.05).forEach(conv => {
+    const agent = conv.participants.find(p => p.purpose === "agent");
+    addEvaluation(org, { conversationId: conv.conversationId, formId: org.forms[0].id, evaluatorId: pick(org.roles[0].userIds), agentId: agent.userId, status: pick(["PENDING", "INPROGRESS", "FINISHED"]) });
+  });
+  return org;
+}
+
+function addEvaluation(org, { conversationId, formId, evaluatorId, agentId, status = "PENDING" }){
+  const form = org.forms.find(f => f.id === formId);
+  const evaluation = {
+    id: `eval-${pad(++org.seq, 6)}`,
+    conversation: { id: conversationId },
+    evaluationForm: { id: form.id, name: form.name, contextId: form.contextId },
+    evaluator: { id: evaluatorId },
+    agent: { id: agentId },
+    status,
+    changedDate: new Date().toISOString()
+  };
+  if (status === "FINISHED") evaluation.answers = { totalScore: 60 + (org.seq * 7) % 40, totalCriticalScore: 100 };
+  org.evaluations.push(evaluation);
+  return evaluation;
+}
+
+// -------------------- Paging + filters --------------------
+function paged(list, query, { key = "entities" } = {}){
+  const pageSize = Number(query.get("pageSize") || 25);
+  const pageNumber = Number(query.get("pageNumber") || 1);
+  const total = list.length;
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const body = { [key]: list.slice((pageNumber - 1) * pageSize, pageNumber * pageSize), pageSize, pageNumber, total, pageCount };
+  if (pageNumber < pageCount) body.nextUri = `?pageNumber=${pageNumber + 1}&pageSize=${pageSize}`;
+  return body;
+}
+
+function predicateMatches(p, attrs){
+  const v = attrs[p.dimension];
+  if (p.operator === "exists") return v !== undefined && v !== null;
+  if (p.operator === "notExists") return v === undefined || v === null;
+  return Array.isArray(v) ? v.includes(p.value) : v === p.value;
+}
+
+function filterMatches(filter, attrs){
+  const results = [
+    ...(filter.predicates || []).map(p => predicateMatches(p, attrs)),
+    ...(filter.clauses || []).map(c => filterMatches(c, attrs))
+  ];
+  return filter.type === "or" ? results.some(Boolean) : results.every(Boolean);
+}
+
+// Segment filters match when any single segment (with its session/participant context) matches
+function segmentContexts(conv){
+  const out = [];
+  conv.participants.forEach(p => (p.sessions || []).forEach(s => (s.segments || []).forEach(seg => out.push({
+    userId: p.userId,
+    purpose: p.purpose,
+    mediaType: s.mediaType,
+    direction: s.direction,
+    queueId: seg.queueId,
+    wrapUpCode: seg.wrapUpCode,
+    segmentType: seg.segmentType,
+    requestedLanguageId: seg.requestedLanguageId,
+    requestedRoutingSkillId: seg.requestedRoutingSkillIds
+  }))));
+  return out;
+}
+
+function detailsQueryMatches(conv, query){
+  const [from, to] = String(query.interval).split("/").map(Date.parse);
+  // Like the real API, a conversation matches when any part of it overlaps the interval
+  const start = Date.parse(conv.conversationStart);
+  const end = Date.parse(conv.conversationEnd || conv.conversationStart);
+  if (!(start < to && end > from)) return false;
+  const convAttrs = { conversationId: conv.conversationId, originatingDirection: conv.originatingDirection };
+  if (!(query.conversationFilters || []).every(f => filterMatches(f, convAttrs))) return false;
+  const contexts = segmentContexts(conv);
+  return (query.segmentFilters || []).every(f => contexts.some(ctx => filterMatches(f, ctx)));
+}
+
+function transcriptClauseMatches(clause, t){
+  if (!clause) return true;
+  switch (clause.type){
+    case "AND": return clause.clauses.every(c => transcriptClauseMatches(c, t));
+    case "OR": return clause.clauses.some(c => transcriptClauseMatches(c, t));
+    case "NOT": return !transcriptClauseMatches(clause.clause, t);
+    case "TERMS": {
+      const have = clause.field === "topicId" ? t.topicIds : clause.field === "categoryId" ? t.categoryIds : [];
+      return clause.values.some(v => have.includes(v));
+    }
+    case "RANGE": {
+      const v = t[clause.field];
+      return typeof v === "number" && (clause.gte === undefined || v >= clause.gte) && (clause.lte === undefined || v <= clause.lte);
+    }
+    default: throw Object.assign(new Error(`Unsupported clause type ${clause.type}`), { status: 400 });
+  }
+}
+
+// -------------------- Routes --------------------
+const byIdOr404 = (list, id, what) => {
+  const found = list.find(x => x.id === id);
+  if (!found) throw Object.assign(new Error(`${what} ${id} not found`), { status: 404 });
+  return found;
+};
+const userEntity = (u) => ({ id: u.id, name: u.name, username: u.username, email: u.email, state: u.state });
+
+function routes(org, options){
+  return [
+    ["GET", /^\/api\/v2\/users\/me$/, () => userEntity(org.me)],
+    ["GET", /^\/api\/v2\/users$/, (m, q) => {
+      const ids = q.getAll("id");
+      let list = org.users.filter(u => !q.get("state") || u.state === q.get("state"));
+      if (ids.length) list = list.filter(u => ids.includes(u.id));
+      return paged(list.map(userEntity), q);
+    }],
+    ["POST", /^\/api\/v2\/users\/search$/, (m, q, body) => {
+      const text = ((body.query || []).find(c => c.type === "QUERY_STRING") || {}).value || "";
+      const list = org.users.filter(u => [u.name, u.email, u.username].some(f => f.toLowerCase().includes(text.toLowerCase())));
+      return { results: list.slice(0, body.pageSize || 25).map(userEntity), total: list.length };
+    }],
+    ["GET", /^\/api\/v2\/routing\/queues$/, (m, q) => {
+      const name = q.get("name");
+      const re = name ? new RegExp(`^${name.split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`, "i") : null;
+      return paged(org.queues.filter(x => !re || re.test(x.name)), q);
+    }],
+    ["GET", /^\/api\/v2\/routing\/skills$/, (m, q) => paged(org.skills, q)],
+    ["GET", /^\/api\/v2\/routing\/languages$/, (m, q) => paged(org.languages, q)],
+    ["GET", /^\/api\/v2\/routing\/wrapupcodes$/, (m, q) => paged(org.wrapUpCodes, q)],
+    ["GET", /^\/api\/v2\/teams$/, (m, q) => paged(org.teams.map(t => ({ id: t.id, name: t.name, memberCount: t.memberIds.length })), q)],
+    ["GET", /^\/api\/v2\/teams\/([^/]+)\/members$/, (m, q) => {
+      const team = byIdOr404(org.teams, m[1], "Team");
+      return paged(team.memberIds.map(id => ({ id, name: byIdOr404(org.users, id, "User").name })), q);
+    }],
+    ["GET", /^\/api\/v2\/authorization\/roles$/, (m, q) => paged(org.roles.filter(r => !q.get("permission") || r.permissions.includes(q.get("permission"))).map(r => ({ id: r.id, name: r.name })), q)],
+    ["GET", /^\/api\/v2\/authorization\/roles\/([^/]+)\/users$/, (m, q) => paged(byIdOr404(org.roles, m[1], "Role").userIds.map(id => userEntity(byIdOr404(org.users, id, "User"))), q)],
+    ["DELETE", /^\/api\/v2\/tokens\/me$/, () => null],
+
+    // Analytics details jobs: QUEUED until polled `jobPolls` times, results read by cursor
+    ["POST", /^\/api\/v2\/analytics\/conversations\/details\/jobs$/, (m, q, body) => {
+      if (!body.interval || !/\//.test(body.interval)) throw Object.assign(new Error("interval is required"), { status: 400 });
+      const [from, to] = body.interval.split("/").map(Date.parse);
+      if (options.maxJobDays && to - from > options.maxJobDays * 86400000) throw Object.assign(new Error(`interval exceeds ${options.maxJobDays} days`), { status: 400 });
+      const id = `job-${pad(++org.seq, 6)}`;
+      const matches = org.conversations.filter(c => detailsQueryMatches(c, body)).sort((a, b) => (a.conversationStart < b.conversationStart ? -1 : 1));
+      org.jobs.set(id, { id, query: body, polls: 0, state: "QUEUED", matches });
+      return { jobId: id, id };
+    }, 202],
+    ["GET", /^\/api\/v2\/analytics\/conversations\/details\/jobs\/([^/]+)$/, (m) => {
+      const job = byIdOr404([...org.jobs.values()], m[1], "Job");
+      if (job.state === "QUEUED" || job.state === "PENDING") {
+        job.polls++;
+        job.state = job.polls > options.jobPolls ? (options.jobState || "FULFILLED") : "PENDING";
+      }
+      const status = { state: job.state, submissionDate: new Date().toISOString(), expirationDate: new Date(Date.now() + 86400000).toISOString() };
+      if (job.state === "FAILED") status.errorMessage = "Mock job failure";
+      return status;
+    }],
+    ["DELETE", /^\/api\/v2\/analytics\/conversations\/details\/jobs\/([^/]+)$/, (m) => {
+      byIdOr404([...org.jobs.values()], m[1], "Job").state = "CANCELLED";
+      return null;
+    }, 202],
+    ["GET", /^\/api\/v2\/analytics\/conversations\/details\/jobs\/([^/]+)\/results$/, (m, q) => {
+      const job = byIdOr404([...org.jobs.values()], m[1], "Job");
+      if (job.state !== "FULFILLED") throw Object.assign(new Error(`Job is ${job.state}`), { status: 400 });
+      const offset = Number(q.get("cursor") || 0);
+      const pageSize = Math.min(Number(q.get("pageSize") || 1000), 1000);
+      const conversations = job.matches.slice(offset, offset + pageSize);
+      const body = { conversations, dataAvailabilityDate: new Date().toISOString() };
+      if (offset + pageSize < job.matches.length) body.cursor = String(offset + pageSize);
+      return body;
+    }],
+
+    // Speech & text analytics
+    ["GET", /^\/api\/v2\/speechandtextanalytics\/topics$/, (m, q) => paged(org.topics, q)],
+    ["GET", /^\/api\/v2\/speechandtextanalytics\/categories$/, (m, q) => paged(org.categories, q)],
+    ["GET", /^\/api\/v2\/speechandtextanalytics\/conversations\/([^/]+)$/, (m) => {
+      const t = org.transcripts.get(m[1]);
+      if (!t) throw Object.assign(new Error(`No analytics for conversation ${m[1]}`), { status: 404 });
+      return { conversation: { id: m[1] }, sentimentScore: t.overallSentiment / 100, sentimentTrend: 0 };
+    }],
+    ["POST", /^\/api\/v2\/speechandtextanalytics\/transcripts\/search$/, (m, q, body) => {
+      const [from, to] = String(body.interval || "").split("/").map(Date.parse);
+      const list = org.conversations
+        .filter(c => org.transcripts.has(c.conversationId))
+        .filter(c => { const s = Date.parse(c.conversationStart); return !(s < from) && !(s >= to); })
+        .filter(c => transcriptClauseMatches(body.query, org.transcripts.get(c.conversationId)))
+        .map(c => ({ conversationId: c.conversationId, overallSentiment: org.transcripts.get(c.conversationId).overallSentiment }));
+      const pageSize = body.pageSize || 25;
+      const pageNumber = body.pageNumber || 1;
+      const res = { results: list.slice((pageNumber - 1) * pageSize, pageNumber * pageSize), total: list.length, pageSize, pageNumber, pageCount: Math.ceil(list.length / pageSize) };
+      if (pageNumber * pageSize < list.length) res.nextPage = pageNumber + 1;
+      return res;
+    }],
+
+    // Quality
+    ["GET", /^\/api\/v2\/quality\/publishedforms\/evaluations$/, (m, q) => paged(org.forms, q)],
+    ["GET", /^\/api\/v2\/quality\/evaluations\/query$/, (m, q) => {
+      const states = q.getAll("evaluationState");
+      const [from, to] = [q.get("startTime"), q.get("endTime")].map(v => (v ? Date.parse(v) : NaN));
+      const list = org.evaluations.filter(ev => {
+        const conv = org.conversations.find(c => c.conversationId === ev.conversation.id);
+        const start = conv ? Date.parse(conv.conversationStart) : NaN;
+        return (!q.get("agentUserId") || ev.agent.id === q.get("agentUserId"))
+          && (!q.get("evaluatorUserId") || ev.evaluator.id === q.get("evaluatorUserId"))
+          && (!q.get("conversationId") || ev.conversation.id === q.get("conversationId"))
+          && (!states.length || states.includes(ev.status))
+          && !(start < from) && !(start >= to);
+      });
+      return paged(list, q);
+    }],
+    ["POST", /^\/api\/v2\/quality\/conversations\/([^/]+)\/evaluations$/, (m, q, body) => {
+      const conv = org.conversations.find(c => c.conversationId === m[1]);
+      if (!conv) throw Object.assign(new Error(`Conversation ${m[1]} not found`), { status: 404 });
+      const form = org.forms.find(f => f.id === (body.evaluationForm && body.evaluationForm.id) && f.published);
+      if (!form) throw Object.assign(new Error("evaluationForm must be a published form"), { status: 400 });
+      const evaluatorId = body.evaluator && body.evaluator.id;
+      if (!org.roles.some(r => r.permissions.includes(EVALUATOR_PERMISSION) && r.userIds.includes(evaluatorId))) throw Object.assign(new Error(`User ${evaluatorId} cannot evaluate`), { status: 400 });
+      const agentId = body.agent && body.agent.id;
+      if (!conv.participants.some(p => p.purpose === "agent" && p.userId === agentId)) throw Object.assign(new Error(`Agent ${agentId} did not handle ${m[1]}`), { status: 400 });
+      return addEvaluation(org, { conversationId: m[1], formId: form.id, evaluatorId, agentId });
+    }],
+    ["GET", /^\/api\/v2\/quality\/conversations\/([^/]+)\/evaluations\/([^/]+)$/, (m) => {
+      const ev = org.evaluations.find(e => e.id === m[2] && e.conversation.id === m[1]);
+      if (!ev) throw Object.assign(new Error(`Evaluation ${m[2]} not found`), { status: 404 });
+      return ev;
+    }]
+  ];
+}
+
+function respond(status, body, headers = {}){
+  return new Response(body === null || body === undefined ? null : JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+}
+
+/**
+ * Returns a fetch-compatible transport over `org`.
+ *   rateLimitEvery: every Nth request gets a 429 (Retry-After: retryAfter)
+ *   failures: [{ method, path (string prefix or RegExp), status, times }] injected in order
+ *   jobPolls: PENDING answers before an analytics job finishes (default 0)
+ *   jobState: the state it then moves to (default FULFILLED)
+ *   maxJobDays: longest interval a details job accepts (400 beyond it)
+ * `transport.calls` records every request as { method, path }.
+ */
+export function createMockTransport(org, { rateLimitEvery = 0, retryAfter = "0", failures = [], jobPolls = 0, jobState, maxJobDays = 31 } = {}){
+  const table = routes(org, { jobPolls, jobState, maxJobDays });
+  const pending = failures.map(f => ({ times: 1, ...f }));
+  let count = 0;
+  async function transport(url, init = {}){
+    const { pathname, searchParams } = new URL(url);
+    const method = (init.method || "GET").toUpperCase();
+    transport.calls.push({ method, path: pathname });
+    count++;
+    const auth = init.headers && (init.headers.Authorization || init.headers.authorization);
+    if (!auth || !/^Bearer \S+/.test(auth)) return respond(401, { message: "No authentication bearer token specified" });
+    if (rateLimitEvery && count % rateLimitEvery === 0) return respond(429, { message: "Rate limit exceeded" }, { "Retry-After": retryAfter });
+    const failure = pending.find(f => f.times > 0 && (!f.method || f.method === method) && (f.path instanceof RegExp ? f.path.test(pathname) : pathname.startsWith(f.path)));
+    if (failure) {
+      failure.times--;
+      return respond(failure.status, { message: failure.message || `Injected ${failure.status}` }, failure.status === 429 ? { "Retry-After": retryAfter } : {});
+    }
+    for (const [m, re, handler, okStatus] of table){
+      const match = m === method && pathname.match(re);
+      if (!match) continue;
+      try {
+        const body = init.body ? JSON.parse(init.body) : {};
+        const result = handler(match, searchParams, body);
+        return respond(result === null ? 204 : okStatus || 200, result);
+      } catch (e) {
+        return respond(e.status || 500, { message: e.message });
+      }
+    }
+    return respond(404, { message: `No mock route for ${method} ${pathname}` });
+  }
+  transport.calls = [];
+  return transport;
+}
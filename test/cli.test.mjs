@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { main } from "../cli.mjs";
+import { makePolicy, exportPolicies, parsePolicyFile, dueSlices, planFromFile } from "../core.mjs";
+import { createMockOrg, createMockTransport } from "../mock-gc.mjs";
+import { testCriteria, testRules } from "./helpers.mjs";
+
+// A daily policy that has never run, in its own export file, against an org whose conversations end now
+async function setup(t, transportOptions = {}, criteria = {}){
+  t.mock.method(console, "error", () => {});
+  const dir = await mkdtemp(join(tmpdir(), "qm-cli-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const org = createMockOrg({ seed: "cli" });
+  const policy = makePolicy({
+    name: "Daily",
+    criteria: testCriteria(criteria),
+    rules: testRules(org, { mode: "randomCount", randomTargetCount: 5 }),
+    lookups: {},
+    schedule: { cadence: "daily" }
+  });
+  const file = join(dir, "policies.json");
+  await writeFile(file, exportPolicies([policy]));
+  const run = (...flags) => main([file, "--mock", "--report", join(dir, "report"), ...flags], { mockTransport: createMockTransport(org, transportOptions) });
+  const report = async () => JSON.parse(await readFile(join(dir, "report.json"), "utf8"));
+  const saved = async () => parsePolicyFile(await readFile(file, "utf8"))[0];
+  return { dir, org, policy, run, report, saved };
+}
+
+test("a dry run writes the plan and leaves the policy file alone", async (t) => {
+  const { dir, policy, run, report, saved } = await setup(t);
+  assert.equal(await run("--dry-run", "--seed", "cli-1"), 0);
+  const written = await report();
+  assert.equal(written.interval, dueSlices(policy)[0].interval);
+  assert.equal(written.plan.seed, "cli-1");
+  assert.ok(written.plan.items.length > 0);
+  const plan = planFromFile("report.csv", await readFile(join(dir, "report.csv"), "utf8"));
+  assert.deepEqual(plan.items.map(it => it.conversationId), written.plan.items.map(it => it.conversationId));
+  assert.equal((await saved()).lastRun, null);
+});
+
+test("a scheduled run creates the evaluations and moves the policy to its next slice", async (t) => {
+  const { org, policy, run, report, saved } = await setup(t);
+  const before = org.evaluations.length;
+  const slice = dueSlices(policy)[0];
+  assert.equal(await run(), 0);
+  const written = await report();
+  assert.equal(written.run.evaluations.length, written.sample.totalSampled);
+  assert.equal(org.evaluations.length, before + written.run.evaluations.length);
+  const next = await saved();
+  assert.equal(next.lastRun.intervalEnd, slice.end);
+  assert.equal(next.lastRun.runId, written.run.id);
+  assert.deepEqual(dueSlices(next), []);
+});
+
+test("failed evaluations exit with 2 and keep the slice due", async (t) => {
+  const { policy, run, report, saved } = await setup(t, { failures: [{ method: "POST", path: /\/quality\/conversations\//, status: 500, times: 2 }] });
+  assert.equal(await run(), 2);
+  const written = await report();
+  assert.equal(written.run.failures.length, 2);
+  assert.equal((await saved()).lastRun, null);
+  assert.deepEqual(dueSlices(await saved()), dueSlices(policy));
+});
+
+test("a slice without candidates is completed so later slices are not blocked", async (t) => {
+  const { policy, run, report, saved } = await setup(t, {}, { queues: ["queue-none"] });
+  const slice = dueSlices(policy)[0];
+  assert.equal(await run(), 0);
+  const written = await report();
+  assert.equal(written.sample.totalCandidates, 0);
+  assert.equal(written.run.evaluations.length, 0);
+  assert.equal((await saved()).lastRun.intervalEnd, slice.end);
+});
+
+test("signal handlers are removed after a run, even one that throws", async (t) => {
+  const listeners = () => [process.listenerCount("SIGINT"), process.listenerCount("SIGTERM")];
+  const before = listeners();
+  const ok = await setup(t);
+  assert.equal(await ok.run("--dry-run"), 0);
+  assert.deepEqual(listeners(), before);
+  const failing = await setup(t, { failures: [{ method: "POST", path: /\/analytics\/conversations\/details\/jobs$/, status: 400, times: 1 }] });
+  await assert.rejects(failing.run("--dry-run"), /Injected 400/);
+  assert.deepEqual(listeners(), before);
+});
@@ -0,0 +1,224 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resolveInterval, buildDetailsQuery, newGroup, newCondition, pruneGroup, staSubtrees, compileTranscriptClause, matchesGroup, describeGroup,
+  analyticsSearch, mapDetailsToHits, hitKey, getAllPages, splitInterval, dueSlices, nextSlice, setTransport
+} from "../core.mjs";
+import { connectMockOrg, testCriteria } from "./helpers.mjs";
+
+const cond = (dimension, values, mode = "include") => ({ ...newCondition(dimension), values, mode });
+const group = (op, children, negate = false) => ({ ...newGroup(op), children, negate });
+
+test("fixed dates resolve to half-open days in the criteria time zone", () => {
+  const utc = resolveInterval(testCriteria());
+  assert.equal(utc.interval, "2026-03-01T00:00:00.000Z/2026-03-16T00:00:00.000Z");
+  const ny = resolveInterval(testCriteria({ timeZone: "America/New_York" }));
+  assert.equal(ny.interval, "2026-03-01T05:00:00.000Z/2026-03-16T04:00:00.000Z");
+  assert.throws(() => resolveInterval(testCriteria({ dateFrom: "2026-03-10", dateTo: "2026-03-01" })), /after its start/);
+});
+
+test("relative windows resolve against now", () => {
+  const { interval } = resolveInterval(testCriteria({ dateMode: "relative", relativeWindow: "yesterday" }), new Date("2026-03-15T12:00:00Z"));
+  assert.equal(interval, "2026-03-14T00:00:00.000Z/2026-03-15T00:00:00.000Z");
+});
+
+test("a policy that never ran is due for the last complete slice", () => {
+  const now = new Date("2026-03-15T12:00:00Z");
+  const daily = { schedule: { cadence: "daily" }, criteria: { timeZone: "UTC" } };
+  assert.deepEqual(dueSlices(daily, now).map(s => s.interval), ["2026-03-14T00:00:00.000Z/2026-03-15T00:00:00.000Z"]);
+  assert.equal(nextSlice(daily, now).interval, "2026-03-14T00:00:00.000Z/2026-03-15T00:00:00.000Z");
+  const weekly = { schedule: { cadence: "weekly" }, criteria: { timeZone: "UTC" } };
+  assert.deepEqual(dueSlices(weekly, now).map(s => s.interval), ["2026-03-02T00:00:00.000Z/2026-03-09T00:00:00.000Z"]);
+  assert.deepEqual(dueSlices({ criteria: {} }, now), []);
+});
+
+test("due slices follow the last run back to back, across a DST change", () => {
+  const policy = { schedule: { cadence: "daily" }, criteria: { timeZone: "America/New_York" }, lastRun: { intervalEnd: "2026-03-07T05:00:00.000Z" } };
+  const now = new Date("2026-03-10T12:00:00Z");
+  const due = dueSlices(policy, now);
+  assert.deepEqual(due.map(s => s.interval), [
+    "2026-03-07T05:00:00.000Z/2026-03-08T05:00:00.000Z",
+    "2026-03-08T05:00:00.000Z/2026-03-09T04:00:00.000Z",
+    "2026-03-09T04:00:00.000Z/2026-03-10T04:00:00.000Z"
+  ]);
+  due.slice(1).forEach((s, i) => assert.equal(s.start, due[i].end));
+  assert.equal(nextSlice(policy, now).interval, due[0].interval);
+  const caughtUp = { ...policy, lastRun: { intervalEnd: due[2].end } };
+  assert.deepEqual(dueSlices(caughtUp, now), []);
+  assert.equal(nextSlice(caughtUp, now).interval, "2026-03-10T04:00:00.000Z/2026-03-11T04:00:00.000Z");
+});
+
+test("flat criteria become OR filters per dimension", () => {
+  const body = buildDetailsQuery({ ...testCriteria({ queues: ["q1", "q2"], mediaType: "voice" }), interval: "a/b" });
+  assert.deepEqual(body.segmentFilters[0].predicates.map(p => [p.dimension, p.value]), [["queueId", "q1"], ["queueId", "q2"]]);
+  assert.equal(body.segmentFilters[1].predicates[0].dimension, "mediaType");
+});
+
+test("groups compile to an analytics superset, an exact check and STA clauses", () => {
+  const g = group("and", [
+    group("or", [cond("queue", ["queue-01"]), cond("queue", ["queue-02"])]),
+    cond("wrapUp", ["wrap-01"], "exclude"),
+    group("or", [cond("topic", ["topic-01"]), cond("category", ["cat-01"])], true),
+    cond("direction", [])
+  ]);
+  const pruned = pruneGroup(g);
+  assert.equal(pruned.children.length, 3);
+  const body = buildDetailsQuery({ ...testCriteria(), interval: "a/b", group: pruned });
+  assert.deepEqual(body.segmentFilters.map(f => f.predicates.map(p => p.value)), [["queue-01", "queue-02"]]);
+
+  const [sta] = staSubtrees(pruned);
+  assert.deepEqual(compileTranscriptClause(sta), { type: "OR", clauses: [
+    { type: "TERMS", field: "topicId", values: ["topic-01"] },
+    { type: "TERMS", field: "categoryId", values: ["cat-01"] }
+  ] });
+
+  const ctx = (matches) => ({ teamMembers: new Map(), staMatches: new Map([[sta.id, new Set(matches)]]) });
+  const hit = { conversationId: "c1", queueId: "queue-02", wrapUpCode: "wrap-02" };
+  assert.equal(matchesGroup(pruned, hit, ctx([])), true);
+  assert.equal(matchesGroup(pruned, hit, ctx(["c1"])), false);
+  assert.equal(matchesGroup(pruned, { ...hit, wrapUpCode: "wrap-01" }, ctx([])), false);
+  assert.equal(matchesGroup(pruned, { ...hit, queueId: "queue-03" }, ctx([])), false);
+
+  const lookups = { queues: [{ id: "queue-01", label: "Sales" }], wrapUps: [], topics: [], categories: [] };
+  assert.match(describeGroup(pruned, lookups), /^\(Queue is Sales OR Queue is queue-02\) AND Wrap-up code is not wrap-01 AND NOT/);
+});
+
+test("a topic exclusion keeps conversations that were never analyzed", async () => {
+  const { org } = connectMockOrg();
+  const topic = org.topics[0].id;
+  const g = group("and", [cond("mediaType", ["email", "voice"]), cond("topic", [topic], "exclude")]);
+  const { hits } = await analyticsSearch(testCriteria({ group: g }));
+  const withTopic = (id) => { const t = org.transcripts.get(id); return !!t && t.topicIds.includes(topic); };
+  const expected = mapDetailsToHits(org.conversations).filter(h => ["email", "voice"].includes(h.mediaType) && !withTopic(h.conversationId));
+  assert.deepEqual(hits.map(hitKey).sort(), expected.map(hitKey).sort());
+  assert.ok(hits.some(h => !org.transcripts.has(h.conversationId)));
+});
+
+test("search returns exactly the matching agent participations", async () => {
+  const { org } = connectMockOrg();
+  const criteria = testCriteria({ queues: ["queue-01", "queue-02"], mediaType: "voice" });
+  const { hits, counts } = await analyticsSearch(criteria);
+  const expected = mapDetailsToHits(org.conversations).filter(h => h.mediaType === "voice" && ["queue-01", "queue-02"].includes(h.queueId));
+  assert.deepEqual(hits.map(hitKey).sort(), expected.map(hitKey).sort());
+  assert.ok(counts.analytics >= counts.filtered);
+});
+
+test("a conversation overlapping two windows belongs to the one it started in", async () => {
+  const { org } = connectMockOrg();
+  const conv = org.conversations[0];
+  Object.assign(conv, { conversationStart: "2026-03-10T23:55:00.000Z", conversationEnd: "2026-03-11T00:20:00.000Z" });
+  const day = (dateFrom) => analyticsSearch(testCriteria({ dateFrom, dateTo: dateFrom }));
+  const [first, second] = [await day("2026-03-10"), await day("2026-03-11")];
+  assert.ok(first.hits.some(h => h.conversationId === conv.conversationId));
+  assert.ok(!second.hits.some(h => h.conversationId === conv.conversationId));
+  const firstIds = new Set(first.hits.map(h => h.conversationId));
+  assert.ok(second.hits.every(h => !firstIds.has(h.conversationId)));
+});
+
+test("work teams expand to their members", async () => {
+  const { org } = connectMockOrg();
+  const team = org.teams[0];
+  const { hits } = await analyticsSearch(testCriteria({ workTeams: [team.id] }));
+  assert.ok(hits.length > 0);
+  hits.forEach(h => assert.ok(team.memberIds.includes(h.agentId)));
+});
+
+test("a work team cut short by the page limit is reported", async () => {
+  const { org, transport } = connectMockOrg();
+  const team = org.teams[0];
+  setTransport(async (url, init) => {
+    const res = await transport(url, init);
+    if (!url.includes("/members")) return res;
+    return new Response(JSON.stringify({ ...(await res.json()), nextUri: "/next" }), { status: 200 });
+  });
+  const { warnings } = await analyticsSearch(testCriteria({ workTeams: [team.id] }));
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], new RegExp(`^Work team ${team.id} has more members than could be loaded`));
+});
+
+test("criteria groups narrow the search with transcript matches", async () => {
+  const { org } = connectMockOrg();
+  const g = group("and", [cond("topic", ["topic-01"]), cond("mediaType", ["voice", "chat"])]);
+  const { hits, counts } = await analyticsSearch(testCriteria({ group: g }));
+  const withTopic = new Set([...org.transcripts].filter(([, t]) => t.topicIds.includes("topic-01")).map(([id]) => id));
+  assert.ok(hits.length > 0);
+  hits.forEach(h => {
+    assert.ok(withTopic.has(h.conversationId));
+    assert.ok(["voice", "chat"].includes(h.mediaType));
+  });
+  assert.equal(counts.group, hits.length);
+});
+
+test("sentiment criteria use transcript search", async () => {
+  const { org } = connectMockOrg();
+  const { hits } = await analyticsSearch(testCriteria({ useAdvanced: true, useSentiment: true, sentimentMax: -50 }));
+  assert.ok(hits.length > 0);
+  hits.forEach(h => {
+    assert.ok(org.transcripts.get(h.conversationId).overallSentiment <= -50);
+    assert.equal(h.sentimentScore, org.transcripts.get(h.conversationId).overallSentiment / 100);
+  });
+});
+
+test("rate limiting is retried and paging is followed", async () => {
+  const { transport } = connectMockOrg({ users: 40 }, { rateLimitEvery: 3 });
+  const users = await getAllPages("/api/v2/users", { pageSize: 10 });
+  assert.equal(users.length, 41);
+  assert.ok(!users.truncated);
+  assert.ok(transport.calls.length > 5);
+  const capped = await getAllPages("/api/v2/users", { pageSize: 10 }, 2);
+  assert.equal(capped.length, 20);
+  assert.equal(capped.truncated, true);
+});
+
+test("API errors reach the caller with their status", async () => {
+  connectMockOrg({}, { failures: [{ method: "POST", path: "/api/v2/analytics/conversations/details/jobs", status: 400, message: "Bad filter" }] });
+  await assert.rejects(analyticsSearch(testCriteria()), e => e.status === 400 && /Bad filter/.test(e.message));
+});
+
+test("long intervals are split into sub-interval jobs", async () => {
+  assert.deepEqual(splitInterval("2026-03-01T00:00:00.000Z/2026-03-16T00:00:00.000Z"), [
+    "2026-03-01T00:00:00.000Z/2026-03-08T00:00:00.000Z",
+    "2026-03-08T00:00:00.000Z/2026-03-15T00:00:00.000Z",
+    "2026-03-15T00:00:00.000Z/2026-03-16T00:00:00.000Z"
+  ]);
+  const { org, transport } = connectMockOrg({ days: 40, conversations: 300 }, { maxJobDays: 7 });
+  const { hits, warnings } = await analyticsSearch(testCriteria({ dateFrom: "2026-02-04", dateTo: "2026-03-15" }));
+  const from = Date.parse("2026-02-04T00:00:00Z");
+  const expected = mapDetailsToHits(org.conversations.filter(c => Date.parse(c.conversationStart) >= from));
+  assert.deepEqual(hits.map(hitKey).sort(), expected.map(hitKey).sort());
+  assert.equal(transport.calls.filter(c => c.method === "POST" && c.path.endsWith("/details/jobs")).length, 6);
+  assert.deepEqual(warnings, []);
+});
+
+test("job results are read through the cursor", async () => {
+  const { org, transport } = connectMockOrg({ days: 5, conversations: 1300 });
+  const { counts } = await analyticsSearch(testCriteria({ dateFrom: "2026-03-09", dateTo: "2026-03-15" }));
+  assert.equal(counts.analytics, mapDetailsToHits(org.conversations).length);
+  assert.equal(transport.calls.filter(c => c.path.endsWith("/results")).length, 2);
+});
+
+for (const [state, message] of [["FAILED", /failed: Mock job failure/], ["CANCELLED", /was cancelled/], ["EXPIRED", /expired/]]){
+  test(`a ${state} job stops the search without reading results`, async () => {
+    const { transport } = connectMockOrg({}, { jobState: state });
+    await assert.rejects(analyticsSearch(testCriteria()), message);
+    assert.equal(transport.calls.filter(c => c.path.endsWith("/results")).length, 0);
+  });
+}
+
+test("cancelling a search deletes its running job", async () => {
+  const { org, transport } = connectMockOrg({}, { jobPolls: 5 });
+  const control = { cancelled: false };
+  const onProgress = (message) => { if (/pending/.test(message)) control.cancelled = true; };
+  await assert.rejects(analyticsSearch(testCriteria(), onProgress, control), e => e.cancelled === true);
+  assert.ok(transport.calls.some(c => c.method === "DELETE" && c.path.includes("/details/jobs/")));
+  assert.deepEqual([...org.jobs.values()].map(j => j.state), ["CANCELLED"]);
+});
+
+test("a transcript search cut short by its page limit is reported", async () => {
+  const { org } = connectMockOrg({ days: 5, conversations: 1400 });
+  const { hits, warnings } = await analyticsSearch(testCriteria({ dateFrom: "2026-03-09", dateTo: "2026-03-15", useAdvanced: true, useSentiment: true, sentimentMin: -100 }));
+  assert.ok(org.transcripts.size > 1000);
+  assert.equal(new Set(hits.map(h => h.conversationId)).size, 1000);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], new RegExp(`stopped after 10 pages \\(1000 of ${org.transcripts.size} conversations\\)`));
+});
@@ -0,0 +1,253 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  analyticsSearch, fetchExistingEvaluations, fetchEvaluatorWorkload, samplePool, buildPlan, newJournal, runJournal, journalCounts,
+  isResumable, loadJournal, auditSnapshot, recordRun, refreshRunStatuses, runsToCsv, hitKey, makePolicy, checkPolicyRefs, planPolicyRun, completeSlice,
+  prepareSample, setTransport, dueSlices, dropEvaluatedItems, planToCsv, planFromFile
+} from "../core.mjs";
+import { connectMockOrg, testCriteria, testRules } from "./helpers.mjs";
+
+const lookups = { forms: [], users: [], evaluators: [] };
+
+async function planFor(org, ruleOverrides = {}){
+  const criteria = testCriteria();
+  const { hits, dateWindow } = await analyticsSearch(criteria);
+  const rules = testRules(org, { mode: "randomCount", randomTargetCount: 12, ...ruleOverrides });
+  const form = org.forms.find(f => f.id === rules.evalFormId);
+  const existing = await fetchExistingEvaluations(hits, dateWindow.interval, form);
+  const preview = samplePool(hits, rules, existing);
+  const workload = { openByEvaluator: await fetchEvaluatorWorkload(rules.evaluatorIds) };
+  return { existing, plan: buildPlan({ preview, rules, criteria, lookups, me: org.me, workload, dateWindow, overrides: { pinned: [], banned: [] } }) };
+}
+
+const run = (journal, control = { paused: false, cancelled: false }) => runJournal(journal, control, () => {});
+
+test("existing evaluations on the form are found and excluded", async () => {
+  const { org } = connectMockOrg();
+  const { existing, plan } = await planFor(org, { randomTargetCount: 1000 });
+  const onForm = org.evaluations.filter(ev => ev.evaluationForm.id === org.forms[0].id);
+  assert.ok(onForm.length > 0, "the mock org has existing evaluations");
+  onForm.forEach(ev => assert.ok(existing.evaluated.has(hitKey({ conversationId: ev.conversation.id, agentId: ev.agent.id }))));
+  const planned = new Set(plan.items.map(hitKey));
+  onForm.forEach(ev => assert.ok(!planned.has(hitKey({ conversationId: ev.conversation.id, agentId: ev.agent.id }))));
+});
+
+test("existing evaluations cut short by the page limit are reported", async () => {
+  const { org, transport } = connectMockOrg();
+  const { hits, dateWindow } = await analyticsSearch(testCriteria({ dateFrom: "2026-03-14", dateTo: "2026-03-14" }));
+  // Every evaluations page claims there is another one
+  setTransport(async (url, init) => {
+    const res = await transport(url, init);
+    if (!url.includes("/quality/evaluations/query")) return res;
+    return new Response(JSON.stringify({ ...(await res.json()), nextUri: "/next" }), { status: 200 });
+  });
+  const agents = new Set(hits.map(h => h.agentId)).size;
+  const { existing, warnings } = await prepareSample({ hits, dateWindow, rules: testRules(org), forms: [] });
+  assert.equal(existing.warnings.length, 1);
+  assert.deepEqual(warnings, existing.warnings);
+  assert.match(warnings[0], new RegExp(`^Existing evaluations for ${agents} agent\\(s\\) stopped at the page limit`));
+});
+
+test("sentiment lookups tolerate missing STA data but not other errors", async () => {
+  const { org } = connectMockOrg({}, { failures: [{ method: "GET", path: /\/speechandtextanalytics\/conversations\//, status: 500 }] });
+  const { hits, dateWindow } = await analyticsSearch(testCriteria());
+  const rules = testRules(org, { mode: "weighted", weightBy: "negativeSentiment" });
+  await assert.rejects(prepareSample({ hits, dateWindow, rules }), e => e.status === 500);
+  const { hits: scored } = await prepareSample({ hits, dateWindow, rules });
+  const withoutSta = scored.filter(h => !org.transcripts.has(h.conversationId));
+  assert.ok(withoutSta.length > 0, "the mock org has conversations without STA data");
+  withoutSta.forEach(h => assert.equal(h.sentimentScore, undefined));
+  scored.filter(h => org.transcripts.has(h.conversationId)).forEach(h => assert.ok(Math.abs(h.sentimentScore - org.transcripts.get(h.conversationId).overallSentiment / 100) < 1e-9));
+});
+
+test("team membership loads in batches and its absence is reported", async () => {
+  const { org, transport } = connectMockOrg({ teams: 12 });
+  const { hits, dateWindow } = await analyticsSearch(testCriteria({ dateFrom: "2026-03-14", dateTo: "2026-03-14" }));
+  const rules = testRules(org, { preferOutsideTeam: true });
+  const ids = org.teams.map(t => t.id);
+  let inFlight = 0, peak = 0;
+  setTransport(async (url, init) => {
+    if (!url.includes("/members")) return transport(url, init);
+    peak = Math.max(peak, ++inFlight);
+    try { return await transport(url, init); } finally { inFlight--; }
+  });
+  const { workload, warnings } = await prepareSample({ hits, dateWindow, rules, workTeamIds: ids });
+  assert.ok(peak <= 5);
+  assert.deepEqual(warnings, []);
+  org.teams.forEach(t => t.memberIds.forEach(u => assert.ok(workload.teamsByUser[u].includes(t.id))));
+  const none = await prepareSample({ hits, dateWindow, rules, workTeamIds: [] });
+  assert.equal(none.workload.teamsByUser, undefined);
+  assert.match(none.warnings[0], /No work teams could be loaded/);
+});
+
+test("evaluator workload counts pending and in-progress evaluations", async () => {
+  const { org } = connectMockOrg();
+  const evaluatorIds = org.roles[0].userIds;
+  const open = await fetchEvaluatorWorkload(evaluatorIds);
+  evaluatorIds.forEach(id => assert.equal(open[id], org.evaluations.filter(ev => ev.evaluator.id === id && ["PENDING", "INPROGRESS"].includes(ev.status)).length));
+  assert.ok(Object.values(open).some(n => n > 0));
+});
+
+test("a run creates one evaluation per plan item, through rate limiting", async () => {
+  const { org } = connectMockOrg({}, { rateLimitEvery: 4 });
+  const { plan } = await planFor(org);
+  const before = org.evaluations.length;
+  const journal = await run(newJournal(plan, { audit: auditSnapshot(plan, org.me, null) }));
+  assert.equal(journal.status, "done");
+  assert.equal(journalCounts(journal).created, plan.items.length);
+  assert.equal(org.evaluations.length, before + plan.items.length);
+  journal.items.forEach(it => {
+    const ev = org.evaluations.find(e => e.id === it.evaluationId);
+    assert.equal(ev.conversation.id, it.conversationId);
+    assert.equal(ev.agent.id, it.agentId);
+    assert.equal(ev.evaluator.id, it.evaluatorId);
+  });
+  assert.deepEqual(loadJournal(), JSON.parse(JSON.stringify(journal)));
+});
+
+test("an imported plan that was already run creates nothing twice", async () => {
+  const { org } = connectMockOrg();
+  const { plan } = await planFor(org);
+  const imported = planFromFile("plan.csv", planToCsv(plan));
+  const fresh = await dropEvaluatedItems(imported, org.forms);
+  assert.equal(fresh.skipped.length, 0);
+  assert.equal(fresh.plan.items.length, plan.items.length);
+
+  await run(newJournal(plan));
+  const [first, ...rest] = plan.items;
+  org.evaluations = org.evaluations.filter(ev => !(ev.conversation.id === first.conversationId && ev.agent.id === first.agentId));
+  const again = await dropEvaluatedItems(imported, org.forms);
+  assert.deepEqual(again.skipped.map(hitKey).sort(), rest.map(hitKey).sort());
+  assert.deepEqual(again.plan.items.map(hitKey), [hitKey(first)]);
+});
+
+test("failed items are recorded and the rest still run", async () => {
+  const { org } = connectMockOrg({}, { failures: [{ method: "POST", path: /\/quality\/conversations\//, status: 500, times: 2 }] });
+  const { plan } = await planFor(org);
+  const journal = await run(newJournal(plan));
+  const counts = journalCounts(journal);
+  assert.equal(journal.status, "done");
+  assert.equal(counts.failed, 2);
+  assert.equal(counts.created, plan.items.length - 2);
+  journal.items.filter(it => it.status === "failed").forEach(it => assert.match(it.error, /500/));
+});
+
+test("a 401 interrupts the run and resuming does not duplicate", async () => {
+  const { org } = connectMockOrg({}, { failures: [{ method: "POST", path: /\/quality\/conversations\//, status: 401, times: 1 }] });
+  const { plan } = await planFor(org);
+  const before = org.evaluations.length;
+  const journal = await run(newJournal(plan));
+  assert.equal(journal.status, "interrupted");
+  assert.ok(isResumable(journal));
+  const created = journalCounts(journal).created;
+  assert.ok(created < plan.items.length);
+
+  // An item left "creating" whose evaluation was in fact created is picked up, not recreated
+  const inFlight = journal.items.find(it => it.status === "pending");
+  const ev = org.evaluations[org.evaluations.length - 1];
+  org.evaluations.push({ ...ev, id: "eval-inflight", conversation: { id: inFlight.conversationId }, agent: { id: inFlight.agentId }, evaluator: { id: inFlight.evaluatorId }, evaluationForm: { ...ev.evaluationForm, id: inFlight.formId } });
+  inFlight.status = "creating";
+
+  const resumed = await run(journal);
+  assert.equal(resumed.status, "done");
+  assert.equal(journalCounts(resumed).created, plan.items.length);
+  assert.equal(inFlight.evaluationId, "eval-inflight");
+  assert.equal(org.evaluations.length, before + plan.items.length);
+});
+
+test("cancelling stops before remaining items are created", async () => {
+  const { org } = connectMockOrg();
+  const { plan } = await planFor(org);
+  const control = { paused: false, cancelled: false };
+  let seen = 0;
+  const journal = await runJournal(newJournal(plan), control, (snapshot) => {
+    if (journalCounts(snapshot).created >= 3) control.cancelled = true;
+    seen++;
+  });
+  assert.equal(journal.status, "cancelled");
+  assert.ok(journalCounts(journal).pending > 0);
+  assert.ok(seen > 0);
+});
+
+test("run history tracks evaluation status, including deletions", async () => {
+  const { org } = connectMockOrg();
+  const { plan } = await planFor(org, { randomTargetCount: 4 });
+  const journal = await run(newJournal(plan, { audit: auditSnapshot(plan, org.me, null) }));
+  const [record] = recordRun(journal);
+  assert.equal(record.evaluations.length, plan.items.length);
+  assert.equal(record.ranBy.id, org.me.id);
+
+  const [first, second] = record.evaluations;
+  Object.assign(org.evaluations.find(e => e.id === first.evaluationId), { status: "FINISHED", answers: { totalScore: 88 } });
+  org.evaluations = org.evaluations.filter(e => e.id !== second.evaluationId);
+
+  const refreshed = await refreshRunStatuses(record);
+  const byId = Object.fromEntries(refreshed.evaluations.map(ev => [ev.evaluationId, ev]));
+  assert.equal(byId[first.evaluationId].state, "finished");
+  assert.equal(byId[first.evaluationId].score, 88);
+  assert.equal(byId[second.evaluationId].state, "deleted");
+  assert.ok(refreshed.evaluations.slice(2).every(ev => ev.state === "pending"));
+  assert.match(runsToCsv([refreshed]), new RegExp(`${first.evaluationId},created,finished,88`));
+});
+
+test("a saved policy plans headlessly and reproduces with the same seed and interval", async () => {
+  const { org } = connectMockOrg();
+  const policy = makePolicy({ name: "Nightly", criteria: testCriteria({ dateMode: "relative", relativeWindow: "last7Days" }), rules: testRules(org, { seed: "" }), lookups: {} });
+  const interval = "2026-03-10T00:00:00.000Z/2026-03-12T00:00:00.000Z";
+  const lookups = { forms: org.forms.map(f => ({ id: f.id, label: f.name, contextId: f.contextId })), users: [], evaluators: [], workTeams: [] };
+  const first = await planPolicyRun(policy, { interval, seed: "nightly-1", lookups, me: org.me });
+  const again = await planPolicyRun(policy, { interval, seed: "nightly-1", lookups, me: org.me });
+  assert.equal(first.plan.interval, interval);
+  assert.equal(first.plan.seed, "nightly-1");
+  assert.equal(first.plan.items[0].formName, "Voice QA");
+  assert.deepEqual(again.plan.items.map(hitKey), first.plan.items.map(hitKey));
+  first.plan.items.forEach(it => assert.ok(it.startTime >= "2026-03-10" && it.startTime < "2026-03-12"));
+  await assert.rejects(planPolicyRun({ ...policy, rules: { ...policy.rules, evaluatorIds: [] } }, { interval, lookups, me: org.me }), /incomplete evaluation rules/);
+});
+
+test("saving a policy keeps its schedule and last run; a copy keeps only the schedule", () => {
+  const saved = makePolicy({ name: "Daily", criteria: testCriteria(), rules: {}, lookups: {}, schedule: { cadence: "daily" }, lastRun: { intervalEnd: "2026-03-15T00:00:00.000Z" } });
+  const resaved = makePolicy({ ...saved, lookups: {} });
+  assert.equal(resaved.id, saved.id);
+  assert.deepEqual(resaved.schedule, { cadence: "daily" });
+  assert.deepEqual(resaved.lastRun, saved.lastRun);
+  const copy = makePolicy({ ...saved, id: undefined, createdAt: undefined, lastRun: undefined, name: "Daily (copy)", lookups: {} });
+  assert.notEqual(copy.id, saved.id);
+  assert.deepEqual(copy.schedule, { cadence: "daily" });
+  assert.equal(copy.lastRun, null);
+});
+
+test("policy references count as missing only against completely loaded lists", () => {
+  const policy = makePolicy({ name: "Refs", criteria: testCriteria({ queues: ["queue-01", "queue-gone"], users: ["user-gone"] }), rules: { evalFormId: "form-gone", evaluatorIds: [] }, lookups: {} });
+  const lookups = { queues: [{ id: "queue-01", label: "Sales" }], users: [], forms: [] };
+  const { missing, unverified } = checkPolicyRefs(policy, lookups, { queues: { status: "ready" }, users: { status: "ready", truncated: true }, forms: { status: "error" } });
+  assert.deepEqual(missing.map(m => m.id), ["queue-gone"]);
+  assert.deepEqual(unverified.map(m => m.id).sort(), ["form-gone", "user-gone"]);
+});
+
+test("only a finished run moves a scheduled policy to its next slice", () => {
+  const policy = { id: "p1", name: "Daily", schedule: { cadence: "daily" } };
+  const slice = { start: "2026-03-10T00:00:00.000Z", end: "2026-03-11T00:00:00.000Z" };
+  assert.equal(completeSlice(policy, { status: "interrupted", slice }), policy);
+  assert.equal(completeSlice(policy, { status: "done" }), policy);
+  const next = completeSlice(policy, { id: "run-1", status: "done", slice, finishedAt: "2026-03-11T01:00:00.000Z" });
+  assert.deepEqual(next.lastRun, { intervalStart: slice.start, intervalEnd: slice.end, ranAt: "2026-03-11T01:00:00.000Z", runId: "run-1" });
+  assert.equal(completeSlice(next, { status: "done", slice }), next);
+});
+
+test("a finished run with failed items leaves the slice due", () => {
+  const policy = { id: "p1", name: "Daily", schedule: { cadence: "daily" } };
+  const slice = { start: "2026-03-10T00:00:00.000Z", end: "2026-03-11T00:00:00.000Z" };
+  const items = [{ status: "created" }, { status: "failed" }];
+  assert.equal(completeSlice(policy, { id: "run-1", status: "done", slice, items, finishedAt: "2026-03-11T01:00:00.000Z" }), policy);
+  assert.equal(completeSlice(policy, { id: "run-1", status: "done", slice, items: [{ status: "created" }, { status: "pending" }] }), policy);
+  assert.notEqual(completeSlice(policy, { id: "run-1", status: "done", slice, items: [{ status: "created" }] }), policy);
+});
+
+test("a slice without candidates completes with no items", () => {
+  const policy = { id: "p1", name: "Daily", schedule: { cadence: "daily" } };
+  const slice = { start: "2026-03-10T00:00:00.000Z", end: "2026-03-11T00:00:00.000Z" };
+  const next = completeSlice(policy, { status: "done", slice, items: [], finishedAt: "2026-03-11T01:00:00.000Z" });
+  assert.equal(next.lastRun.intervalEnd, slice.end);
+  assert.deepEqual(dueSlices(next, new Date("2026-03-11T12:00:00Z")), []);
+});
@@ -0,0 +1,29 @@
+// Shared setup: points core.mjs at a fresh in-memory org
+import { setRegion, setToken, setTokenExpiry, setTransport, defaultCriteria, defaultRules } from "../core.mjs";
+import { createMockOrg, createMockTransport } from "../mock-gc.mjs";
+
+// Conversations fall in the 14 days before NOW, i.e. inside the criteria below
+export const NOW = Date.parse("2026-03-15T12:00:00Z");
+
+export function connectMockOrg(orgOptions = {}, transportOptions = {}){
+  const org = createMockOrg({ seed: "tests", now: NOW, ...orgOptions });
+  const transport = createMockTransport(org, transportOptions);
+  setTransport(transport);
+  setRegion("mock.local");
+  setToken("test-token");
+  setTokenExpiry(0);
+  return { org, transport };
+}
+
+export function testCriteria(overrides = {}){
+  return { ...defaultCriteria(), dateMode: "fixed", dateFrom: "2026-03-01", dateTo: "2026-03-15", timeZone: "UTC", mediaType: "", ...overrides };
+}
+
+export function testRules(org, overrides = {}){
+  return { ...defaultRules(), seed: "seed-1", evalFormId: org.forms[0].id, evaluatorIds: org.roles[0].userIds.slice(0, 3), ...overrides };
+}
+
+// Every agent participation in the org's conversations, as conversationId:agentId keys
+export function participationKeys(conversations){
+  return conversations.flatMap(c => Array.from(new Set(c.participants.filter(p => p.purpose === "agent").map(p => `${c.conversationId}:${p.userId}`))));
+}
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  seededRandom, allocateStrata, weightedSample, samplePool, assignEvaluators, hitKey, mapDetailsToHits, buildPlan, validatePlan, planToCsv, planFromFile
+} from "../core.mjs";
+import { createMockOrg } from "../mock-gc.mjs";
+import { NOW, testCriteria, testRules, participationKeys } from "./helpers.mjs";
+
+const org = createMockOrg({ seed: "sampling", now: NOW });
+const hits = mapDetailsToHits(org.conversations);
+
+test("seededRandom repeats for a seed and differs across seeds", () => {
+  const a = seededRandom("x"), b = seededRandom("x"), c = seededRandom("y");
+  const seqA = [a(), a(), a()];
+  assert.deepEqual([b(), b(), b()], seqA);
+  assert.notDeepEqual([c(), c(), c()], seqA);
+  seqA.forEach(v => assert.ok(v >= 0 && v < 1));
+});
+
+test("mapDetailsToHits yields one hit per agent participation", () => {
+  assert.deepEqual(hits.map(hitKey).sort(), participationKeys(org.conversations).sort());
+  const transferred = hits.filter(h => h.agentCount > 1);
+  assert.ok(transferred.length > 0, "the mock org has transfers");
+  const last = mapDetailsToHits(org.conversations, "last");
+  assert.equal(last.length, org.conversations.length);
+});
+
+test("allocateStrata honours the minimum and the total", () => {
+  const alloc = allocateStrata({ a: 50, b: 30, c: 2 }, 20, 3);
+  assert.equal(alloc.a + alloc.b + alloc.c, 20);
+  assert.equal(alloc.c, 2);
+  assert.ok(alloc.a > alloc.b);
+  assert.deepEqual(allocateStrata({ a: 1, b: 1 }, 10, 0), { a: 1, b: 1 });
+});
+
+test("weightedSample picks without replacement and favours heavy items", () => {
+  const items = Array.from({ length: 100 }, (_, i) => ({ id: i, heavy: i < 10 }));
+  const picked = weightedSample(items, 10, x => (x.heavy ? 1000 : 1), seededRandom("w"));
+  assert.equal(new Set(picked.map(x => x.id)).size, 10);
+  assert.ok(picked.filter(x => x.heavy).length >= 8);
+});
+
+test("the same seed reproduces the same sample", () => {
+  const rules = testRules(org, { mode: "randomCount", randomTargetCount: 15 });
+  const first = samplePool(hits, rules, null);
+  const again = samplePool([...hits].reverse(), rules, null);
+  assert.equal(first.totalSampled, 15);
+  assert.deepEqual(again.sampled.map(hitKey), first.sampled.map(hitKey));
+  assert.notDeepEqual(samplePool(hits, { ...rules, seed: "seed-2" }, null).sampled.map(hitKey), first.sampled.map(hitKey));
+});
+
+test("byAgent takes at most the target per agent", () => {
+  const { sampled } = samplePool(hits, testRules(org, { mode: "byAgent", perAgentTarget: 2 }), null);
+  const perAgent = {};
+  sampled.forEach(h => { perAgent[h.agentId] = (perAgent[h.agentId] || 0) + 1; });
+  Object.values(perAgent).forEach(n => assert.ok(n <= 2));
+  assert.equal(Object.keys(perAgent).length, new Set(hits.map(h => h.agentId)).size);
+});
+
+test("stratified sampling covers every stratum", () => {
+  const { sampled } = samplePool(hits, testRules(org, { mode: "stratified", strataKey: "queueId", strataMin: 1, randomTargetCount: 12 }), null);
+  assert.equal(sampled.length, 12);
+  assert.equal(new Set(sampled.map(h => h.queueId)).size, new Set(hits.map(h => h.queueId)).size);
+});
+
+test("pinned hits bypass the guard and sampler; banned ones never appear", () => {
+  const [pin, ban] = hits;
+  const existing = { evaluated: new Set([hitKey(pin)]), countsByAgent: {} };
+  const rules = testRules(org, { mode: "randomCount", randomTargetCount: hits.length });
+  const res = samplePool(hits, rules, existing, { pinned: [hitKey(pin)], banned: [hitKey(ban)] });
+  const keys = res.sampled.map(hitKey);
+  assert.ok(keys.includes(hitKey(pin)));
+  assert.ok(!keys.includes(hitKey(ban)));
+  assert.equal(res.pinned, 1);
+  assert.equal(res.banned, 1);
+  assert.equal(res.removedExisting, 0);
+  assert.equal(res.sampled.find(h => hitKey(h) === hitKey(pin)).samplingReason, "Pinned by reviewer");
+});
+
+test("already-evaluated hits are excluded or flagged", () => {
+  const existing = { evaluated: new Set(hits.slice(0, 5).map(hitKey)), countsByAgent: {} };
+  const all = testRules(org, { mode: "randomCount", randomTargetCount: hits.length });
+  assert.equal(samplePool(hits, all, existing).removedExisting, 5);
+  const flagged = samplePool(hits, { ...all, existingEvalPolicy: "flag" }, existing);
+  assert.equal(flagged.flaggedExisting, 5);
+  assert.equal(flagged.sampled.filter(h => h.alreadyEvaluated).length, 5);
+});
+
+test("assignEvaluators never assigns agents to themselves and respects caps", () => {
+  const [e1, e2] = org.roles[0].userIds;
+  const sampled = [
+    { conversationId: "c1", agentId: e1 },
+    { conversationId: "c2", agentId: "agent-x" },
+    { conversationId: "c3", agentId: "agent-x" },
+    { conversationId: "c4", agentId: "agent-x" }
+  ];
+  const rules = { evaluatorIds: [e1, e2], evaluatorSettings: { [e2]: { cap: 2 } } };
+  const { assignments, unassigned } = assignEvaluators(sampled, rules, { openByEvaluator: { [e2]: 1 } });
+  assert.equal(assignments.find(a => a.convo.conversationId === "c1").evaluatorId, e2);
+  assert.equal(assignments.filter(a => a.evaluatorId === e2).length, 1);
+  assert.equal(unassigned.length, 0);
+  assert.throws(() => assignEvaluators(sampled, { evaluatorIds: [] }), /No evaluators/);
+});
+
+test("a plan survives a CSV round trip", () => {
+  const rules = testRules(org, { mode: "randomCount", randomTargetCount: 5 });
+  const preview = samplePool(hits, rules, null);
+  const plan = buildPlan({ preview, rules, criteria: testCriteria(), lookups: { forms: [], users: [], evaluators: [] }, me: org.me, workload: {}, overrides: { pinned: [], banned: [] } });
+  assert.equal(validatePlan(plan), plan);
+  const imported = planFromFile("plan.csv", planToCsv(plan));
+  assert.deepEqual(imported.items.map(it => [it.conversationId, it.agentId, it.evaluatorId]), plan.items.map(it => [it.conversationId, it.agentId, it.evaluatorId]));
+});